@@ -1,11 +1,24 @@
 const express = require('express');
 const helmet = require('helmet');
-const cors = require('cors');
 const compression = require('compression');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const metricsMiddleware = require('./middleware/metrics');
+const requestId = require('./middleware/requestId');
+const { corsMiddleware } = require('./middleware/cors');
+const rateLimit = require('./middleware/rateLimit');
+const config = require('./config');
 
 const app = express();
 
+// Per-IP rate limits need the client address, not the load balancer's
+app.set('trust proxy', config.trustProxy);
+
+// Request IDs first, so everything after this logs with one
+app.use(requestId);
+
+// Request counts and latency for /metrics (including requests refused below)
+app.use(metricsMiddleware);
+
 // Security & Performance
 app.use(helmet({
   // Allow other origins to embed images/SVGs from this service
@@ -13,43 +26,27 @@ app.use(helmet({
   // (Optional) If you see issues with previews opening new tabs, you can disable COOP:
   // crossOriginOpenerPolicy: false,
 }));
-/**
- * CORS:
- * - For local/dev: allow everything
- * - For prod: restrict to your known front-ends
- */
-const allowedOrigins = [
-  'http://localhost:5500',   // Live Server for the mathServicePlayground test page
-  'http://127.0.0.1:5500',
-  'http://oss-pb-local.lndo.site/',
-  'https://localhost:5500',   // Live Server for the mathServicePlayground test page
-  'https://127.0.0.1:5500',
-  'https://oss-pb-local.lndo.site/',
-  'http://pressbooks.test',
-  'http://appserver',
-  'http://appserver_nginx',
-  null
-];
-app.use(cors({
-  origin: (origin, cb) => {
-    if (!origin) return cb(null, true); // allow curl/file:// etc.
-    if (allowedOrigins.includes(origin)) return cb(null, true);
-    return cb(new Error('Not allowed by CORS'));
-  }
-  // credentials: true  // only if you *need* cookies; then don't use '*' origins
-}));
+
+// CORS policy from config (CORS_ORIGINS / CORS_CONFIG_FILE); other origins get a 403
+app.use(corsMiddleware);
 
 app.use(compression());
 
 // Disable x-powered-by
 app.disable('x-powered-by');
 
+// API keys, rate limits and daily render quotas for the conversion routes
+app.use(['/latex', '/asciimath', '/mathml', '/speechtext', '/batch', '/validate'], rateLimit);
+
 // Routes
 app.use('/', require('./routes/index'));
 app.use('/latex', require('./routes/latex'));
 app.use('/asciimath', require('./routes/asciimath'));
 app.use('/mathml', require('./routes/mathml'));
 app.use('/speechtext', require('./routes/speechtext'));
+app.use('/batch', require('./routes/batch'));
+app.use('/validate', require('./routes/validate'));
+app.use('/admin', require('./routes/admin'));
 
 // Error handling
 app.use(notFoundHandler);
@@ -1,4 +1,166 @@
 require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Origins allowed before CORS_ORIGINS / CORS_CONFIG_FILE existed: local development
+// and the Lando/Docker hostnames used by Pressbooks
+const DEFAULT_CORS_ORIGINS = [
+  "http://localhost:5500", // Live Server for the mathServicePlayground test page
+  "http://127.0.0.1:5500",
+  "https://localhost:5500",
+  "https://127.0.0.1:5500",
+  "http://oss-pb-local.lndo.site",
+  "https://oss-pb-local.lndo.site",
+  "http://pressbooks.test",
+  "http://appserver",
+  "http://appserver_nginx",
+];
+
+/**
+ * Load the CORS origin list: CORS_ORIGINS (comma-separated) wins over
+ * CORS_CONFIG_FILE (JSON, either an array or { "origins": [...] }); without
+ * either, the built-in development origins are used.
+ * @returns {{origins: string[], source: string}}
+ */
+const loadCorsOrigins = () => {
+  if (process.env.CORS_ORIGINS) {
+    return {
+      origins: process.env.CORS_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean),
+      source: "env:CORS_ORIGINS",
+    };
+  }
+  const file = process.env.CORS_CONFIG_FILE;
+  if (file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read CORS_CONFIG_FILE ${file}: ${error.message}`);
+    }
+    const origins = Array.isArray(parsed) ? parsed : parsed.origins;
+    if (!Array.isArray(origins)) {
+      throw new Error(`CORS_CONFIG_FILE ${file} must hold an array of origins or { "origins": [...] }`);
+    }
+    return { origins, source: `file:${file}` };
+  }
+  return { origins: DEFAULT_CORS_ORIGINS, source: "default" };
+};
+
+/**
+ * Express "trust proxy" values: booleans and hop counts, or an address list as is
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Load API keys from API_KEYS ("name:key,name2:key2") and API_KEYS_FILE (JSON array of
+ * { name, key, rate?, burst?, dailyRenders? }, the optional fields overriding the
+ * keyed tier limits for that key)
+ * @returns {Object[]}
+ */
+const loadApiKeys = () => {
+  const keys = (process.env.API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator < 1) {
+        throw new Error(`API_KEYS entries must look like name:key, got '${entry}'`);
+      }
+      return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+
+  const file = process.env.API_KEYS_FILE;
+  if (file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read API_KEYS_FILE ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(parsed) || parsed.some((k) => !k || !k.name || !k.key)) {
+      throw new Error(`API_KEYS_FILE ${file} must hold an array of { "name": ..., "key": ... }`);
+    }
+    keys.push(...parsed);
+  }
+  return keys;
+};
+
+/**
+ * Split a comma-separated setting into its trimmed, non-empty entries
+ */
+const list = (value) => (value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+
+// Routes that can require signed URLs (batch signs its JSON body, see utils/urlSigning.js)
+const SIGNABLE_ROUTES = ["latex", "asciimath", "mathml", "speechtext", "validate", "batch"];
+
+/**
+ * Load URL signing settings: secrets from URL_SIGNING_SECRETS (comma-separated,
+ * the first one for signing, all accepted while rotating) or URL_SIGNING_SECRET,
+ * and the routes enforcing signatures from URL_SIGNING_ROUTES ("latex,mathml" or "*")
+ * @returns {{secrets: string[], routes: string[]}}
+ */
+const loadSigning = () => {
+  const secrets = list(process.env.URL_SIGNING_SECRETS || process.env.URL_SIGNING_SECRET);
+  let routes = list(process.env.URL_SIGNING_ROUTES).map((route) => route.replace(/^\//, "").toLowerCase());
+  if (routes.includes("*")) routes = SIGNABLE_ROUTES;
+
+  const unknown = routes.filter((route) => !SIGNABLE_ROUTES.includes(route));
+  if (unknown.length) {
+    throw new Error(`URL_SIGNING_ROUTES can only list ${SIGNABLE_ROUTES.join(", ")}, got '${unknown.join(", ")}'`);
+  }
+  if (routes.length && !secrets.length) {
+    throw new Error("URL_SIGNING_ROUTES needs a secret in URL_SIGNING_SECRET");
+  }
+  return { secrets, routes };
+};
+
+/**
+ * Load the named TeX macro sets: every <name>.json file in TEX_MACROS_DIR, holding
+ * { "version": "...", "macros": { "R": "\\mathbb{R}", "norm": ["\\lVert #1 \\rVert", 1] } }
+ * with macros as in MathJax's tex.macros option. Without a version the set is
+ * versioned by a hash of the file, so edits still reach cached renders.
+ * @returns {Object<string, {version: string, macros: Object}>}
+ */
+const loadMacroSets = () => {
+  const dir = process.env.TEX_MACROS_DIR;
+  if (!dir) return {};
+
+  const sets = {};
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort();
+  } catch (error) {
+    throw new Error(`Could not read TEX_MACROS_DIR ${dir}: ${error.message}`);
+  }
+  for (const file of files) {
+    const name = file.slice(0, -5);
+    let text;
+    let parsed;
+    try {
+      text = fs.readFileSync(path.join(dir, file), "utf8");
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not read macro set ${file}: ${error.message}`);
+    }
+    const macros = parsed && parsed.macros;
+    const valid = macros && typeof macros === "object" && !Array.isArray(macros) &&
+      Object.values(macros).every((macro) => typeof macro === "string" || (Array.isArray(macro) && typeof macro[0] === "string"));
+    if (!/^[\w-]+$/.test(name) || !valid) {
+      throw new Error(`Macro set ${file} must be named [A-Za-z0-9_-]+.json and hold { "macros": { name: definition } }`);
+    }
+    const version = parsed.version !== undefined
+      ? String(parsed.version)
+      : crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+    sets[name] = { version, macros };
+  }
+  return sets;
+};
 
 module.exports = {
   // Server
@@ -9,6 +171,7 @@ module.exports = {
   speech: {
     defaultEngine: process.env.SPEECH_ENGINE || "mathcat", // 'mathcat' or 'mathjax'
     defaultLang: process.env.SPEECH_LANG || "en",
+    timeout: parseInt(process.env.SPEECH_TIMEOUT) || 3000,
     defaultMathcatStyle: "ClearSpeak",
     defaultMathcatVerbosity: "Verbose",
     defaultSREStyle: "ClearSpeak",
@@ -17,8 +180,115 @@ module.exports = {
       "Fraction_GeneralEndFrac:Roots_RootEnd:Paren_Speak",
   },
 
+  // MathJax conversions
+  mathJax: {
+    // Worker threads with their own MathJax instance; 0 runs conversions in-process behind a single lock
+    workers: parseInt(process.env.MATHJAX_WORKERS) || 0,
+    timeout: parseInt(process.env.MATHJAX_TIMEOUT) || 3000,
+    // MathJax instances kept booted, one per \require{} package signature and named macro set
+    warmInstances: parseInt(process.env.MATHJAX_WARM_INSTANCES) || 4,
+  },
+
+  // Cross-origin access. Each origin is an exact origin (https://books.example.com),
+  // a wildcard subdomain pattern (https://*.example.com), a regex (/^https:\/\/.+\.test$/)
+  // or "*" for any origin. Requests without an Origin header (curl, server-side) are always allowed.
+  cors: loadCorsOrigins(),
+
+  // Admin routes (/admin/*) and /metrics: bearer tokens / API keys allowed to use them, from
+  // ADMIN_TOKENS (comma-separated) or ADMIN_TOKEN. With none set the admin routes are disabled.
+  admin: {
+    tokens: (process.env.ADMIN_TOKENS || process.env.ADMIN_TOKEN || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean),
+    // Serve /metrics without a token, e.g. to a scraper that can only reach a private network
+    publicMetrics: process.env.METRICS_PUBLIC === "true",
+  },
+
+  // Express "trust proxy" setting, so per-IP limits see the client address behind a
+  // load balancer, e.g. "loopback", "10.0.0.0/8" or a hop count like "1"
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // API keys and rate limits for the conversion routes. Clients without a key share
+  // the anonymous tier, limited per IP; clients with a key are limited per key.
+  // Rates are requests per second refilling a bucket of `burst` requests;
+  // dailyRenders caps the formulas actually rendered (cache misses) per UTC day.
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED === "true",
+    requireApiKey: process.env.API_KEYS_REQUIRED === "true",
+    anonymous: {
+      rate: parseFloat(process.env.RATE_LIMIT_ANON_RATE) || 5,
+      burst: parseInt(process.env.RATE_LIMIT_ANON_BURST) || 50,
+      dailyRenders: parseInt(process.env.RATE_LIMIT_ANON_DAILY_RENDERS) || 2000,
+    },
+    keyed: {
+      rate: parseFloat(process.env.RATE_LIMIT_KEY_RATE) || 50,
+      burst: parseInt(process.env.RATE_LIMIT_KEY_BURST) || 500,
+      dailyRenders: parseInt(process.env.RATE_LIMIT_KEY_DAILY_RENDERS) || 100000,
+    },
+    keys: loadApiKeys(),
+  },
+
+  // Signed render URLs (see utils/urlSigning.js): the routes listed refuse requests
+  // without a valid `expires` + `sig` pair. Signing is off while no routes are listed.
+  signing: loadSigning(),
+
+  // TeX input policy (see services/texPolicy.js)
+  tex: {
+    packages: {
+      // Packages formulas may \require{}; empty allows every extension bundled with MathJax
+      allow: list(process.env.TEX_PACKAGES_ALLOW),
+      // Packages nobody may use, not even the ones loaded by default
+      deny: list(process.env.TEX_PACKAGES_DENY),
+    },
+    // Safe mode disables \href, \class, \style, \cssId, \data (the html package),
+    // raw HTML (texhtml) and \unicode font names. Off unless TEX_SAFE_MODE=true.
+    safeMode: process.env.TEX_SAFE_MODE === "true",
+    // Named macro sets, selected with `macros=<name>` (see services/texMacros.js)
+    macroSets: loadMacroSets(),
+  },
+
+  // Input limits, checked before a formula is queued for MathJax (see services/inputLimits.js).
+  // Too long is a 413; too deeply nested, too many cells, \require calls or elements a 422.
+  limits: {
+    maxLength: parseInt(process.env.LIMIT_MAX_LENGTH) || 10000, // characters after decoding, TeX and AsciiMath
+    maxMathMLLength: parseInt(process.env.LIMIT_MAX_MATHML_LENGTH) || 100000,
+    maxDepth: parseInt(process.env.LIMIT_MAX_DEPTH) || 50, // braces/environments/\left, brackets or elements
+    maxMatrixCells: parseInt(process.env.LIMIT_MAX_MATRIX_CELLS) || 2500, // TeX and MathML
+    maxRequires: parseInt(process.env.LIMIT_MAX_REQUIRES) || 5,
+    maxMathMLElements: parseInt(process.env.LIMIT_MAX_MATHML_ELEMENTS) || 5000,
+  },
+
+  // POST bodies for the conversion routes (/latex, /speechtext, ...)
+  post: {
+    maxBodySize: process.env.POST_MAX_BODY_SIZE || "1mb",
+  },
+
+  // Batch rendering (POST /batch)
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 500,
+    maxBodySize: process.env.BATCH_MAX_BODY_SIZE || "5mb",
+  },
+
+  // Logging: one JSON object per line (or plain text for local development)
+  log: {
+    level: process.env.LOG_LEVEL || "info", // 'error', 'warn', 'info', 'debug' or 'silent'
+    format: process.env.LOG_FORMAT || "json", // 'json' or 'text'
+    // How formulas appear in logs: 'full', 'truncate' or 'redact' (length and hash only)
+    formulas: process.env.LOG_FORMULAS || "truncate",
+    formulaMaxLength: parseInt(process.env.LOG_FORMULA_MAX_LENGTH) || 80,
+  },
+
   errors: {
     alwaysSendImageOrSpeechOnError: true,
+    // Default for the `errors` parameter: "image" or "json" (see utils/sendErrorHandler)
+    format: process.env.ERRORS_FORMAT === "json" ? "json" : "image",
+    // Error image style: "minimal", "detailed" or "transparent" (see utils/errorImage)
+    placeholder: process.env.ERRORS_PLACEHOLDER || "minimal",
+    // Language of error images and text when the request doesn't pick one (see utils/errorMessages)
+    lang: process.env.ERRORS_LANG || "en",
+    // Send error images and text with the error's HTTP status rather than 200
+    sendStatus: process.env.ERRORS_HTTP_STATUS === "true",
     httpResponseErrorHeader: "pb-mathjax-error",
     logErrorsToConsole: true,
   },
@@ -28,6 +298,21 @@ module.exports = {
     max: parseInt(process.env.CACHE_MAX_ENTRIES) || 2000,
     maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 100 * 1024 * 1024,
     ttl: parseInt(process.env.CACHE_TTL) || 1000 * 60 * 60 * 24,
+    // Shared second tier behind the in-memory LRU: "memory" (none), "disk" or "redis".
+    // Setting CACHE_DISK_DIR alone selects "disk".
+    store: process.env.CACHE_STORE || (process.env.CACHE_DISK_DIR ? "disk" : "memory"),
+    disk: {
+      dir: process.env.CACHE_DISK_DIR || "",
+      maxSize: parseInt(process.env.CACHE_DISK_MAX_SIZE) || 1024 * 1024 * 1024,
+      ttl: parseInt(process.env.CACHE_DISK_TTL) || 1000 * 60 * 60 * 24 * 30,
+    },
+    // Any server speaking the Redis protocol (Redis, Valkey, KeyDB, ...)
+    redis: {
+      url: process.env.CACHE_REDIS_URL || "redis://127.0.0.1:6379",
+      prefix: process.env.CACHE_REDIS_PREFIX || "pb-math:",
+      ttl: parseInt(process.env.CACHE_REDIS_TTL) || 1000 * 60 * 60 * 24 * 30,
+      timeout: parseInt(process.env.CACHE_REDIS_TIMEOUT) || 1000,
+    },
   },
 
   // Image generation
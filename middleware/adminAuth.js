@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest();
+
+/**
+ * The token a request presents: `Authorization: Bearer <token>` or `X-Admin-Key: <token>`
+ */
+const tokenFrom = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+  if (match) return match[1];
+  return req.get('X-Admin-Key') || '';
+};
+
+/**
+ * Find the configured token matching `token`. Digests are compared in constant
+ * time, so response timing doesn't reveal how much of a token was right.
+ * @returns {string|undefined}
+ */
+const findToken = (token) => {
+  if (!token) return undefined;
+  const digest = sha256(token);
+  return config.admin.tokens.find(t => crypto.timingSafeEqual(sha256(t), digest));
+};
+
+/**
+ * Identify a token in the audit log without writing the token itself
+ */
+const fingerprint = (token) => `token:${sha256(token).toString('hex').slice(0, 8)}`;
+
+/**
+ * Only let requests with a configured admin token through, and write an audit
+ * log entry for every admin request (including refused ones). Handlers can add
+ * details to the entry through res.locals.audit.
+ */
+function requireAdmin(req, res, next) {
+  const action = `${req.method} ${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+
+  if (!config.admin.tokens.length) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN (or ADMIN_TOKENS) to enable the admin routes',
+    });
+  }
+
+  const token = findToken(tokenFrom(req));
+  if (!token) {
+    logger.audit('Admin request refused', { action, ip: req.ip, reason: tokenFrom(req) ? 'invalid token' : 'no token' });
+    metrics.errors.inc({ type: 'Unauthorized', status: 401 });
+    res.set('WWW-Authenticate', 'Bearer realm="pb-math-service admin"');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin routes need a valid token in "Authorization: Bearer <token>" or "X-Admin-Key"',
+    });
+  }
+
+  const principal = fingerprint(token);
+  req.admin = { principal };
+  res.on('finish', () => {
+    logger.audit('Admin action', {
+      requestId: req.id, action, principal, ip: req.ip, status: res.statusCode, ...res.locals.audit,
+    });
+  });
+  next();
+}
+
+module.exports = requireAdmin;
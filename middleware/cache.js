@@ -1,77 +1,237 @@
-const { LRUCache } = require('lru-cache');
+const crypto = require('crypto');
 const config = require('../config');
-const { truncateMiddle } = require('../utils');
-
-// Create cache once at module load
-const responseCache = new LRUCache({
-  max: config.cache.max,
-  maxSize: config.cache.maxSize,
-  sizeCalculation: (value) => {
-    return value.buffer.length + JSON.stringify(value.headers).length;
-  },
-  ttl: config.cache.ttl,
-});
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { describeRequest } = require('../services/cacheKeys');
+const { MemoryStore, createSharedStore } = require('../services/cacheStores');
+
+// Create the stores once at module load: the in-memory LRU, and the shared
+// store selected by CACHE_STORE (if any) as a second tier behind it
+const memoryStore = new MemoryStore(config.cache);
+const sharedStore = createSharedStore(config.cache);
 
 // Track statistics
-let hits = 0;
+let memoryHits = 0;
+let sharedHits = 0;
 let misses = 0;
+let coalesced = 0;
+
+// Same counts for /metrics; unlike the ones above, these survive /cache-clear
+const hitsMetric = metrics.counter('cache_hits_total', 'Response cache hits, by tier');
+const missesMetric = metrics.counter('cache_misses_total', 'Response cache misses (requests that were rendered)');
+const coalescedMetric = metrics.counter('cache_coalesced_total', 'Cache misses served by waiting on an identical request already rendering');
+metrics.counter('cache_evictions_total', 'Entries evicted to stay under the size cap, by tier', {
+  collect: (counter) => {
+    counter.set({ tier: 'memory' }, memoryStore.evictions);
+    // Redis evicts on its own, without telling us
+    if (sharedStore && sharedStore.evictions !== undefined) {
+      counter.set({ tier: config.cache.store }, sharedStore.evictions);
+    }
+  },
+});
+
+// Renders in progress, by cache key. Concurrent misses for the same key wait
+// on the first request instead of queueing on the MathJax lock to render it again.
+const inFlight = new Map();
+
+/**
+ * Build the cache key for a conversion request from a description of what it
+ * renders (see services/cacheKeys), rather than its URL. Equivalent GET and POST
+ * requests share one entry.
+ * @param {string} route - Route path, e.g. '/latex'
+ * @param {Object} query - Request parameters (query string merged with any POST body)
+ * @returns {string|null} Cache key, or null when the request should bypass the cache
+ */
+function buildCacheKeyFor(route, query = {}) {
+  const description = describeRequest(route, query);
+  if (!description) return null;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(description)).digest('hex');
+  return `${route}#${hash}`;
+}
+
+/**
+ * Build the cache key for a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Cache key, or null when the request should bypass the cache
+ */
+function buildCacheKey(req) {
+  return buildCacheKeyFor(req.baseUrl + (req.path === '/' ? '' : req.path), req.query);
+}
+
+/**
+ * Look up a cached response in memory, then in the shared store.
+ * Shared store hits are copied into memory. A shared store that is down
+ * counts as a miss.
+ * @param {string} key - Cache key
+ * @returns {Promise<{buffer: Buffer, headers: Object, timestamp: number, tier: string}|undefined>}
+ */
+async function lookup(key) {
+  const cached = await memoryStore.get(key);
+  if (cached) {
+    memoryHits++;
+    hitsMetric.inc({ tier: 'memory' });
+    return { ...cached, tier: 'memory' };
+  }
+
+  if (sharedStore) {
+    try {
+      const stored = await sharedStore.get(key);
+      if (stored) {
+        sharedHits++;
+        hitsMetric.inc({ tier: config.cache.store });
+        await memoryStore.set(key, stored.buffer, stored.headers);
+        return { ...stored, tier: config.cache.store };
+      }
+    } catch (error) {
+      logger.error('Cache store read failed', { store: config.cache.store, error: error.message });
+    }
+  }
+
+  misses++;
+  missesMetric.inc();
+  return undefined;
+}
+
+/**
+ * Store a response in the cache (memory, and the shared store if configured)
+ * @param {string} key - Cache key
+ * @param {Buffer} buffer - Response body
+ * @param {Object} headers - Response headers to replay on a hit
+ * @returns {Promise<void>} Settles once the shared store write is done; callers need not wait
+ */
+function store(key, buffer, headers) {
+  memoryStore.set(key, buffer, headers);
+
+  if (!sharedStore) return Promise.resolve();
+  return sharedStore.set(key, buffer, headers).catch((error) => {
+    logger.error('Cache store write failed', { store: config.cache.store, error: error.message });
+  });
+}
+
+/**
+ * Join the render in progress for a cache key, or claim it if there is none.
+ * The request that claims a key must settle it with the response entry (or null
+ * when the response isn't cacheable, so waiters render for themselves).
+ * @param {string} key - Cache key
+ * @returns {{leader: true, settle: function(Object|null): void}|{leader: false, result: Promise<Object|null>}}
+ */
+function claim(key) {
+  const running = inFlight.get(key);
+  if (running) {
+    return { leader: false, result: running.promise };
+  }
 
-const originalGet = responseCache.get.bind(responseCache);
-responseCache.get = function(key) {
-  const value = originalGet(key);
-  if (value) hits++;
-  else misses++;
-  return value;
-};
+  const flight = {};
+  flight.promise = new Promise((resolve) => { flight.resolve = resolve; });
+  inFlight.set(key, flight);
+
+  return {
+    leader: true,
+    settle: (entry) => {
+      if (inFlight.get(key) !== flight) return;
+      inFlight.delete(key);
+      flight.resolve(entry || null);
+    },
+  };
+}
 
 /**
- * Cache middleware - caches complete HTTP responses by URL
+ * Wait for the render in progress for a cache key, if any
+ * @param {{leader: false, result: Promise<Object|null>}} flight - From claim()
+ * @returns {Promise<Object|null>} The shared entry, or null if the first request failed
  */
-function cacheMiddleware(req, res, next) {
-  if (req.method !== 'GET') {
+async function join(flight) {
+  const entry = await flight.result;
+  if (entry) {
+    coalesced++;
+    coalescedMetric.inc();
+  }
+  return entry;
+}
+
+/**
+ * Cache middleware - caches complete HTTP responses by what they render (see buildCacheKey)
+ */
+async function cacheMiddleware(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
     return next();
   }
 
-  const cacheKey = req.originalUrl;
-  
+  const cacheKey = buildCacheKey(req);
+  if (!cacheKey) {
+    return next();
+  }
+
+  let flight = claim(cacheKey);
+  if (!flight.leader) {
+    const shared = await join(flight);
+    if (shared) {
+      Object.keys(shared.headers).forEach(key => {
+        res.set(key, shared.headers[key]);
+      });
+      res.set('X-Cache', 'COALESCED');
+      return res.send(shared.buffer);
+    }
+    // The first request's response wasn't cacheable; render this one separately
+    flight = { settle: () => {} };
+  }
+
   // Check cache
-  const cached = responseCache.get(cacheKey);
+  const cached = await lookup(cacheKey);
   if (cached) {
-    console.log('Cache hit:', cacheKey);
+    logger.debug('Cache hit', { tier: cached.tier, key: cacheKey });
+    flight.settle(cached);
     
     Object.keys(cached.headers).forEach(key => {
       res.set(key, cached.headers[key]);
     });
     res.set('X-Cache', 'HIT');
+    res.set('X-Cache-Tier', cached.tier);
     
     return res.send(cached.buffer);
   }
 
-  console.log('Cache miss:', truncateMiddle(cacheKey, 80));
+  logger.debug('Cache miss', { key: cacheKey });
+
+  // Release waiting requests if the response never gets sent
+  res.on('close', () => flight.settle(null));
 
   // Intercept res.send
   const originalSend = res.send.bind(res);
   
   res.send = function(data) {
-    if (res.statusCode === 200) {
+    // Objects come back through here as a JSON string via res.json()
+    if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) {
+      return originalSend(data);
+    }
+
+    let entry = null;
+
+    // Error responses are sent with 200 too, but marked no-store
+    if (res.statusCode === 200 && !/no-store/.test(res.get('Cache-Control') || '')) {
       try {
         const contentType = res.get('Content-Type') || 'application/octet-stream';
         const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
         
-        responseCache.set(cacheKey, {
-          buffer,
-          headers: {
-            'Content-Type': contentType,
-            'Cache-Control': res.get('Cache-Control') || 'public, max-age=86400',
-          },
-          timestamp: Date.now(),
-        });
+        const headers = {
+          'Content-Type': contentType,
+          'Cache-Control': res.get('Cache-Control') || 'public, max-age=86400',
+        };
+        // Replay the image size/alignment headers too
+        Object.keys(res.getHeaders())
+          .filter(name => name.startsWith('x-math-'))
+          .forEach(name => { headers[name] = res.get(name); });
+
+        store(cacheKey, buffer, headers);
+        entry = { buffer, headers };
         
-        console.log('Cached:', truncateMiddle(cacheKey, 80), `(${buffer.length} bytes)`);
+        logger.debug('Cached', { key: cacheKey, bytes: buffer.length });
       } catch (error) {
-        console.error('Failed to cache:', error);
+        logger.error('Failed to cache', { key: cacheKey, error });
       }
     }
+
+    flight.settle(entry);
     
     res.set('X-Cache', 'MISS');
     return originalSend(data);
@@ -80,27 +240,65 @@ function cacheMiddleware(req, res, next) {
   next();
 }
 
-function getStats() {
+const hitRate = (count, total) => total > 0 ? ((count / total) * 100).toFixed(2) + '%' : 'N/A';
+
+/**
+ * Hit/miss/coalesced counters plus the stats of each tier. Every store reports the same
+ * fields (backend, entries, size, ttl), whatever the backend.
+ */
+async function getStats() {
+  const hits = memoryHits + sharedHits;
   const total = hits + misses;
+  const memory = await memoryStore.getStats();
+  const tiers = {
+    memory: { hits: memoryHits, hitRate: hitRate(memoryHits, total), ...memory },
+  };
+  if (sharedStore) {
+    let shared;
+    try {
+      shared = await sharedStore.getStats();
+    } catch (error) {
+      shared = { backend: config.cache.store, error: error.message };
+    }
+    tiers[config.cache.store] = { hits: sharedHits, hitRate: hitRate(sharedHits, total), ...shared };
+  }
+
   return {
-    size: responseCache.size,
-    calculatedSize: responseCache.calculatedSize,
-    maxSize: responseCache.maxSize,
-    max: responseCache.max,
+    store: config.cache.store,
+    size: memory.entries,
+    calculatedSize: memory.size,
+    maxSize: memory.maxSize,
+    max: memory.max,
     hits,
     misses,
-    hitRate: total > 0 ? ((hits / total) * 100).toFixed(2) + '%' : 'N/A',
+    coalesced,
+    hitRate: hitRate(hits, total),
+    tiers,
   };
 }
 
-function clear() {
-  const sizeBefore = responseCache.size;
-  responseCache.clear();
-  hits = 0;
+/**
+ * Empty every tier
+ * @returns {Promise<Object>} Entries removed, e.g. { cleared: 10, redis: 25 }
+ */
+async function clear() {
+  const result = { cleared: await memoryStore.clear() };
+  if (sharedStore) {
+    result[config.cache.store] = await sharedStore.clear();
+  }
+  memoryHits = 0;
+  sharedHits = 0;
   misses = 0;
-  return { cleared: sizeBefore };
+  coalesced = 0;
+  return result;
 }
 
 module.exports = cacheMiddleware;
 module.exports.getStats = getStats;
-module.exports.clear = clear;
\ No newline at end of file
+module.exports.clear = clear;
+module.exports.lookup = lookup;
+module.exports.store = store;
+module.exports.claim = claim;
+module.exports.join = join;
+module.exports.buildCacheKey = buildCacheKey;
+module.exports.buildCacheKeyFor = buildCacheKeyFor;
@@ -0,0 +1,108 @@
+const cors = require('cors');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Let inline image embedders read the size/alignment headers
+const EXPOSED_HEADERS = ['X-Request-Id', 'X-Math-Width', 'X-Math-Height', 'X-Math-Depth', 'X-Math-Vertical-Align',
+  'X-Math-Width-Px', 'X-Math-Height-Px', 'X-Math-Depth-Px'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a list of origin entries (see config.cors) into a policy
+ * @param {string[]} origins - Exact origins, wildcard subdomain patterns, /regexes/ or "*"
+ * @returns {{any: boolean, exact: Set<string>, wildcards: Array, patterns: RegExp[]}}
+ * @throws {Error} For an entry that is not a valid regex
+ */
+const createCorsPolicy = (origins) => {
+  const policy = { any: false, exact: new Set(), wildcards: [], patterns: [] };
+
+  origins.forEach((entry) => {
+    const origin = String(entry).trim();
+    const regex = origin.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (origin === '*') {
+      policy.any = true;
+    } else if (regex) {
+      try {
+        // Without g or y, test() doesn't carry lastIndex over from the previous request
+        policy.patterns.push(new RegExp(regex[1], regex[2].replace(/[gy]/g, '')));
+      } catch (error) {
+        throw new Error(`Invalid CORS origin pattern ${origin}: ${error.message}`);
+      }
+    } else if (origin.includes('*')) {
+      // "*" stands for one or more subdomain labels: https://*.example.com
+      // matches https://books.example.com and https://a.b.example.com, not https://example.com
+      const source = origin.toLowerCase().replace(/\/$/, '').split('*').map(escapeRegExp).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+      policy.wildcards.push({ origin, test: new RegExp(`^${source}$`) });
+    } else {
+      // Origins never end in a slash, so don't let a stray one stop the entry from matching
+      policy.exact.add(origin.toLowerCase().replace(/\/$/, ''));
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Check an Origin header against a policy
+ * @param {Object} policy - From createCorsPolicy()
+ * @param {string} origin - The request's Origin header
+ * @returns {boolean}
+ */
+const isOriginAllowed = (policy, origin) => {
+  if (policy.any) return true;
+  const normalized = origin.toLowerCase();
+  return policy.exact.has(normalized)
+    || policy.wildcards.some(({ test }) => test.test(normalized))
+    || policy.patterns.some(pattern => pattern.test(origin));
+};
+
+const policy = createCorsPolicy(config.cors.origins);
+
+/**
+ * The effective policy, for the /config diagnostic
+ */
+const describeCorsPolicy = () => ({
+  source: config.cors.source,
+  allowAnyOrigin: policy.any,
+  allowRequestsWithoutOrigin: true,
+  exact: [...policy.exact],
+  wildcards: policy.wildcards.map(({ origin }) => origin),
+  patterns: policy.patterns.map(String),
+  exposedHeaders: EXPOSED_HEADERS,
+});
+
+/**
+ * Refuse cross-origin requests from origins outside the policy with a 403,
+ * before any work is done for them
+ */
+function rejectDisallowedOrigins(req, res, next) {
+  const origin = req.get('Origin');
+  if (!origin || isOriginAllowed(policy, origin)) return next();
+
+  logger.warn('Origin not allowed', { origin });
+  metrics.errors.inc({ type: 'Origin not allowed', status: 403 });
+  res.status(403).json({
+    error: 'Origin not allowed',
+    message: `Requests from ${origin} are not allowed by this service's CORS policy`,
+  });
+}
+
+// Only allowed origins get past the first middleware
+const corsMiddleware = [
+  rejectDisallowedOrigins,
+  cors({
+    origin: true,
+    exposedHeaders: EXPOSED_HEADERS,
+    // credentials: true  // only if you *need* cookies; then don't use '*' origins
+  }),
+];
+
+module.exports = {
+  corsMiddleware,
+  createCorsPolicy,
+  isOriginAllowed,
+  describeCorsPolicy,
+};
@@ -1,16 +1,20 @@
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
 /**
  * Centralized error handling middleware
  */
 function errorHandler(err, req, res, next) {
-  console.error('Error:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.originalUrl,
+  logger.error('Unhandled error', {
+    error: err,
+    path: req.originalUrl.split('?')[0],
     method: req.method,
   });
 
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal Server Error';
+  // body-parser errors carry a type, e.g. entity.too.large; messages can't be used as labels
+  metrics.errors.inc({ type: err.type || 'Unhandled error', status: statusCode });
 
   res.status(statusCode).json({
     error: {
@@ -25,6 +29,7 @@ function errorHandler(err, req, res, next) {
  * 404 handler
  */
 function notFoundHandler(req, res) {
+  metrics.errors.inc({ type: 'Endpoint not found', status: 404 });
   res.status(404).json({
     error: {
       message: 'Endpoint not found',
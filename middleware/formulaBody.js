@@ -0,0 +1,67 @@
+const express = require('express');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+
+const INPUT_PARAMS = ['latex', 'asciimath', 'mathml'];
+
+// Raw body content types, and the formula parameter each one carries
+const RAW_BODY_TYPES = {
+  'application/x-latex': 'latex',
+  'application/mathml+xml': 'mathml',
+  'text/plain': null, // the route's own parameter, see formulaBody()
+};
+
+const SUPPORTED_TYPES = ['application/json', ...Object.keys(RAW_BODY_TYPES)];
+
+const parseJson = express.json({ limit: config.post.maxBodySize });
+const parseText = express.text({ type: Object.keys(RAW_BODY_TYPES), limit: config.post.maxBodySize });
+
+/**
+ * Work out which parameter a text/plain body is for: the route's own formula
+ * parameter, or on routes that take any input type, the `input` query parameter
+ * (default: latex).
+ */
+const textParamFor = (req, defaultParam) => {
+  if (defaultParam) return defaultParam;
+  return INPUT_PARAMS.includes(req.query.input) ? req.query.input : 'latex';
+};
+
+/**
+ * Merge a POST body into req.query, so POST handlers see exactly the
+ * parameters a GET with the same query string would.
+ * Body values win over query string values.
+ */
+const mergeBody = (defaultParam) => (req, res, next) => {
+  if (req.method !== 'POST') return next();
+
+  // req.is() is null when there is no body at all
+  if (req.is(SUPPORTED_TYPES) === false) {
+    metrics.errors.inc({ type: 'Unsupported content type', status: 415 });
+    return res.status(415).json({
+      error: 'Unsupported content type',
+      message: `POST bodies must be one of: ${SUPPORTED_TYPES.join(', ')}`,
+    });
+  }
+
+  const body = req.body;
+  if (typeof body === 'string') {
+    const type = req.is(Object.keys(RAW_BODY_TYPES));
+    const param = RAW_BODY_TYPES[type] || textParamFor(req, defaultParam);
+    req.query = { ...req.query, [param]: body };
+  } else if (body && typeof body === 'object' && !Array.isArray(body)) {
+    req.query = { ...req.query, ...body };
+  }
+  next();
+};
+
+/**
+ * Body parsing for the conversion routes' POST handlers. Accepts a JSON object
+ * of parameters, or the formula itself as an application/x-latex,
+ * application/mathml+xml or text/plain body with options in the query string.
+ * @param {string} [defaultParam] - Formula parameter a text/plain body fills,
+ *   e.g. 'latex' for /latex. Routes that take any input type leave it out.
+ * @returns {Function[]} Express middleware
+ */
+const formulaBody = (defaultParam) => [parseJson, parseText, mergeBody(defaultParam)];
+
+module.exports = formulaBody;
@@ -0,0 +1,45 @@
+const metrics = require('../utils/metrics');
+const { getOutputFormat } = require('../utils');
+
+// Route labels are limited to the mounted routes, so unknown paths can't grow the label set
+const ROUTES = ['/latex', '/asciimath', '/mathml', '/speechtext', '/batch', '/validate',
+  '/health', '/packages', '/metrics', '/admin'];
+const IMAGE_ROUTES = ['/latex', '/asciimath', '/mathml'];
+
+const requests = metrics.counter('http_requests_total', 'HTTP requests, by route, output format and status');
+const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency in seconds, by route and output format');
+
+const routeFor = (req) => {
+  const route = '/' + req.path.split('/')[1].toLowerCase();
+  if (route === '/') return '/';
+  return ROUTES.includes(route) ? route : 'other';
+};
+
+/**
+ * What a request asked for: the output format on the image routes, speech on
+ * /speechtext, and empty for everything else
+ */
+const formatFor = (route, query) => {
+  if (IMAGE_ROUTES.includes(route)) return getOutputFormat(query);
+  if (route === '/speechtext') return 'speech';
+  return '';
+};
+
+/**
+ * Count requests and time them, once the response has been sent
+ */
+function metricsMiddleware(req, res, next) {
+  const route = routeFor(req);
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    // req.query includes any POST body by now (see formulaBody)
+    const labels = { route, format: formatFor(route, req.query) };
+    duration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    requests.inc({ ...labels, status: res.statusCode });
+  });
+
+  next();
+}
+
+module.exports = metricsMiddleware;
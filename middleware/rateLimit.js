@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// Clients tracked at once; the least recently seen are forgotten first
+const MAX_CLIENTS = 100000;
+
+const limited = metrics.counter('rate_limited_total', 'Requests refused with a 429, by tier and reason (rate or quota)');
+
+/**
+ * A bucket of `burst` tokens refilling at `rate` tokens per second
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updated) / 1000) * this.rate);
+    this.updated = now;
+  }
+
+  /**
+   * Take one token if there is one
+   * @returns {number} 0 if a token was taken, otherwise seconds until one is available
+   */
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.rate);
+  }
+}
+
+/**
+ * The renders a request has reserved against its client's daily quota. A
+ * request reserves one when it is let through, so concurrent requests can't all
+ * pass on the same count; a route rendering several formulas (batch) reserves
+ * the rest one at a time with take(). Reservations the request didn't render
+ * are given back by settle().
+ */
+class RenderQuota {
+  constructor(record, limit) {
+    this.record = record;
+    this.limit = limit;
+    this.reserved = 0;
+    this.taken = 0;
+  }
+
+  /**
+   * Reserve one render, if the quota has room for it
+   * @returns {boolean}
+   */
+  reserve() {
+    const { record } = this;
+    if (record.renders + record.reserved >= this.limit) return false;
+    record.reserved++;
+    this.reserved++;
+    return true;
+  }
+
+  /**
+   * Claim a render, using the request's own reservation first
+   * @returns {boolean} false once the quota is used up
+   */
+  take() {
+    if (this.taken < this.reserved || this.reserve()) {
+      this.taken++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Count the renders actually made and release the request's reservations
+   */
+  settle(renders) {
+    this.record.reserved -= this.reserved;
+    this.record.renders += renders;
+    this.reserved = 0;
+  }
+}
+
+const buckets = new LRUCache({ max: MAX_CLIENTS });
+const usage = new LRUCache({ max: MAX_CLIENTS });
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Keys are looked up by hash, so lookups don't compare key text directly
+let keysByHash = null;
+let keysLoaded = null;
+const findApiKey = (key) => {
+  if (keysLoaded !== config.rateLimit.keys) {
+    keysByHash = new Map(config.rateLimit.keys.map(k => [sha256(k.key), k]));
+    keysLoaded = config.rateLimit.keys;
+  }
+  return keysByHash.get(sha256(key));
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const secondsUntilMidnightUTC = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+/**
+ * Today's usage record for a client, starting a new one at UTC midnight
+ */
+const usageFor = (client) => {
+  let record = usage.get(client.id);
+  if (!record || record.day !== today()) {
+    record = { client: client.id, tier: client.tier, day: today(), requests: 0, renders: 0, reserved: 0, limited: 0 };
+    usage.set(client.id, record);
+  }
+  return record;
+};
+
+/**
+ * Work out who a request is from: the API key in X-API-Key (or the api_key
+ * parameter, for <img> tags that can't send headers), else the client IP
+ * @returns {{id: string, tier: string, limits: Object}|null} null for an unknown key
+ */
+const identifyClient = (req) => {
+  const key = req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : '');
+  if (!key) {
+    return { id: `ip:${req.ip}`, tier: 'anonymous', limits: config.rateLimit.anonymous };
+  }
+
+  const apiKey = findApiKey(key);
+  if (!apiKey) return null;
+  const { rate, burst, dailyRenders } = { ...config.rateLimit.keyed, ...apiKey };
+  return { id: `key:${apiKey.name}`, tier: 'keyed', limits: { rate, burst, dailyRenders } };
+};
+
+const quotaMessage = (dailyRenders) => `Daily quota of ${dailyRenders} rendered formulas used up; it resets at midnight UTC`;
+
+const tooManyRequests = (res, client, reason, retryAfter, message) => {
+  limited.inc({ tier: client.tier, reason });
+  metrics.errors.inc({ type: 'Too many requests', status: 429 });
+  logger.warn('Rate limited', { client: client.id, reason, retryAfter });
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests', message });
+};
+
+/**
+ * API key check, token-bucket rate limit and daily render quota for the
+ * conversion routes (see config.rateLimit). Each request reserves a render
+ * (req.renderQuota, see RenderQuota), and renders are counted when the
+ * response goes out, from res.locals.renders: the render path sets it to one
+ * when it sends a freshly rendered formula (see utils.sendRenderResult), and a
+ * route rendering several formulas (batch) takes a render from the quota for
+ * each and reports its count. Cache hits, refusals and errors count none.
+ */
+function rateLimit(req, res, next) {
+  if (!config.rateLimit.enabled) return next();
+
+  const client = identifyClient(req);
+  if (!client) {
+    metrics.errors.inc({ type: 'Invalid API key', status: 401 });
+    return res.status(401).json({ error: 'Invalid API key', message: 'The API key is not recognized' });
+  }
+  if (client.tier === 'anonymous' && config.rateLimit.requireApiKey) {
+    metrics.errors.inc({ type: 'API key required', status: 401 });
+    return res.status(401).json({
+      error: 'API key required',
+      message: 'Send an API key in the X-API-Key header or the api_key parameter',
+    });
+  }
+
+  const { rate, burst, dailyRenders } = client.limits;
+  const record = usageFor(client);
+  record.requests++;
+
+  let bucket = buckets.get(client.id);
+  if (!bucket || bucket.rate !== rate || bucket.burst !== burst) {
+    bucket = new TokenBucket(rate, burst);
+    buckets.set(client.id, bucket);
+  }
+  const retryAfter = bucket.take();
+  if (retryAfter) {
+    record.limited++;
+    return tooManyRequests(res, client, 'rate', retryAfter, `Rate limit of ${rate} requests per second exceeded`);
+  }
+
+  const quota = new RenderQuota(record, dailyRenders);
+  if (!quota.reserve()) {
+    record.limited++;
+    return tooManyRequests(res, client, 'quota', secondsUntilMidnightUTC(), quotaMessage(dailyRenders));
+  }
+
+  req.client = client;
+  req.renderQuota = quota;
+  // 'close' covers responses that never finish (the client went away)
+  const settle = () => {
+    if (!quota.reserved) return;
+    quota.settle(res.locals.renders || 0);
+  };
+  res.on('finish', settle);
+  res.on('close', settle);
+  next();
+}
+
+/**
+ * Today's usage per client, busiest first, for the admin API
+ * @param {Object} [options]
+ * @param {string} [options.client] - Only this client, e.g. 'key:books' or 'ip:10.0.0.1'
+ * @returns {Object[]}
+ */
+const getUsage = ({ client } = {}) => {
+  const day = today();
+  return [...usage.values()]
+    .filter(record => record.day === day && (!client || record.client === client))
+    .map((record) => {
+      const bucket = buckets.get(record.client);
+      if (bucket) bucket.refill(Date.now());
+      return { ...record, tokens: bucket ? Math.floor(bucket.tokens) : undefined };
+    })
+    .sort((a, b) => b.renders - a.renders || b.requests - a.requests);
+};
+
+/**
+ * Forget all buckets and usage (tests, or after changing limits)
+ */
+const resetRateLimits = () => {
+  buckets.clear();
+  usage.clear();
+};
+
+module.exports = rateLimit;
+module.exports.TokenBucket = TokenBucket;
+module.exports.quotaMessage = quotaMessage;
+module.exports.getUsage = getUsage;
+module.exports.resetRateLimits = resetRateLimits;
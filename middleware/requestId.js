@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../utils/logger');
+
+// Incoming IDs are echoed into headers and logs, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+/**
+ * Give every request an ID: the caller's X-Request-Id if it looks sane,
+ * otherwise a new UUID. The ID is returned in X-Request-Id, attached to
+ * everything logged while the request is handled, and logged with the
+ * outcome of the request once it has been sent.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  res.on('finish', () => {
+    logger.info('request', {
+      requestId: id,
+      method: req.method,
+      // Not originalUrl: the query string usually holds the formula
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      ...(res.get('X-Cache') && { cache: res.get('X-Cache') }),
+    });
+  });
+
+  runWithRequestId(id, next);
+}
+
+module.exports = requestId;
+module.exports.REQUEST_ID_PATTERN = REQUEST_ID_PATTERN;
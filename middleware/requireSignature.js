@@ -0,0 +1,39 @@
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+const { verifySignature } = require('../utils/urlSigning');
+
+// Routes taking a JSON body rather than parameters: the signature covers the raw body
+const BODY_SIGNED_ROUTES = ['/batch'];
+
+const REFUSALS = {
+  missing: { status: 401, error: 'Signature required', message: 'This route only serves signed URLs (expires and sig parameters)' },
+  invalid: { status: 403, error: 'Invalid signature', message: 'The URL signature does not match its parameters' },
+  expired: { status: 403, error: 'Signature expired', message: 'The signed URL has expired' },
+};
+
+/**
+ * Refuse conversions on the routes in config.signing.routes unless their
+ * parameters carry a valid, unexpired signature (see utils/urlSigning.js).
+ * Runs after the POST body is merged into req.query, so GET and POST are
+ * checked alike, and before the cache, so nothing is served or rendered for an
+ * unsigned request. On BODY_SIGNED_ROUTES it runs after the body parser has
+ * kept the raw body in req.rawBody. Other paths on the router (e.g. /options)
+ * are left open.
+ */
+function requireSignature(req, res, next) {
+  // Routes match case-insensitively, so /LaTeX mustn't slip past the check
+  const route = req.baseUrl.toLowerCase();
+  if (req.path !== '/' || !config.signing.routes.includes(route.slice(1))) return next();
+
+  const body = BODY_SIGNED_ROUTES.includes(route) ? req.rawBody || '' : undefined;
+  const { valid, reason } = verifySignature(route, req.query, config.signing.secrets, { body });
+  if (valid) return next();
+
+  const refusal = REFUSALS[reason];
+  logger.warn('Signed URL refused', { route, reason, ip: req.ip });
+  metrics.errors.inc({ type: refusal.error, status: refusal.status });
+  return res.status(refusal.status).json({ error: refusal.error, message: refusal.message });
+}
+
+module.exports = requireSignature;
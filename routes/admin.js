@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const cacheMiddleware = require('../middleware/cache');
+const requireAdmin = require('../middleware/adminAuth');
+const { describeCorsPolicy } = require('../middleware/cors');
+const { getPoolStats } = require('../services/mathJaxPool');
+const { getUsage } = require('../middleware/rateLimit');
+
+router.use(requireAdmin);
+
+const maskPassword = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * The effective configuration, with secrets left out
+ */
+const describeConfig = () => ({
+  nodeEnv: config.nodeEnv,
+  cors: describeCorsPolicy(),
+  admin: { tokens: config.admin.tokens.length, publicMetrics: config.admin.publicMetrics },
+  cache: {
+    ...config.cache,
+    redis: { ...config.cache.redis, url: maskPassword(config.cache.redis.url) },
+  },
+  rateLimit: {
+    ...config.rateLimit,
+    keys: config.rateLimit.keys.map(({ key, ...limits }) => limits),
+  },
+  trustProxy: config.trustProxy,
+  signing: { routes: config.signing.routes, secrets: config.signing.secrets.length },
+  mathJax: config.mathJax,
+  tex: config.tex,
+  limits: config.limits,
+  post: config.post,
+  batch: config.batch,
+  log: config.log,
+  errors: config.errors,
+  image: config.image,
+  speech: config.speech,
+});
+
+// Everything the public /health used to show
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    mathJax: getPoolStats(),
+  });
+});
+
+router.get('/cache-stats', async (req, res, next) => {
+  try {
+    res.json(await cacheMiddleware.getStats());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/cache-clear', async (req, res, next) => {
+  try {
+    const result = await cacheMiddleware.clear();
+    res.locals.audit = { result };
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Today's requests, renders and refusals per API key / anonymous IP
+router.get('/usage', (req, res) => {
+  const clients = getUsage({ client: req.query.client });
+  res.json({
+    day: new Date().toISOString().slice(0, 10),
+    enabled: config.rateLimit.enabled,
+    clients,
+  });
+});
+
+router.get('/config', (req, res) => {
+  res.json(describeConfig());
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const cache = require('../middleware/cache');
+const metrics = require('../utils/metrics');
+const requireSignature = require('../middleware/requireSignature');
+const { renderFormula, INPUT_TYPES, RENDER_FORMATS } = require('../services/mathRenderer');
+const { decodeFormula, getOutputFormat, buildRenderHeaders } = require('../utils');
+const { createHttpError, getTexErrorDetails } = require('../utils/sendErrorHandler');
+const { quotaMessage } = require('../middleware/rateLimit');
+
+// Keep the raw body for signature checks (see utils/urlSigning.js)
+router.use(express.json({ limit: config.batch.maxBodySize, verify: (req, res, body) => { req.rawBody = body; } }));
+router.use(requireSignature);
+
+/**
+ * Work out which cache entry a batch item corresponds to: the entry a request to
+ * /latex, /asciimath, /mathml (or /speechtext for speech) with the same
+ * parameters would use.
+ */
+const cacheKeyForItem = (type, format, rawFormula, options) => {
+  if (format === 'speech') {
+    return cache.buildCacheKeyFor('/speechtext', { [type]: rawFormula, ...options });
+  }
+  return cache.buildCacheKeyFor(`/${type}`, { [type]: rawFormula, ...options, format });
+};
+
+/**
+ * Render a single batch item, going through the shared response cache
+ * @param {Object} item - { id, type, formula, format, options }
+ * @param {number} index - Position of the item in the request
+ * @param {Object} [quota] - The client's daily render quota, when rate limits are on
+ * @returns {Promise<Object>} Per-item result or error
+ */
+const renderItem = async (item, index, quota) => {
+  const id = item && item.id !== undefined ? item.id : index;
+
+  try {
+    if (!item || typeof item !== 'object') {
+      return { index, id, status: 400, error: 'Invalid batch item', message: 'Each item must be an object' };
+    }
+
+    const { type } = item;
+    const options = item.options && typeof item.options === 'object' ? item.options : {};
+    const requested = item.format || options.format;
+    const format = requested ? String(requested).trim().toLowerCase() : getOutputFormat(options);
+
+    if (!INPUT_TYPES.includes(type)) {
+      return { index, id, status: 400, error: 'Invalid input type', message: `type must be one of: ${INPUT_TYPES.join(', ')}` };
+    }
+    if (!RENDER_FORMATS.includes(format)) {
+      return { index, id, status: 400, error: 'Invalid output format', message: `format must be one of: ${RENDER_FORMATS.join(', ')}` };
+    }
+
+    const formula = decodeFormula(item.formula, options.isBase64);
+    const render = async () => {
+      // Items past the quota fail on their own; the rest of the batch is still served
+      if (quota && !quota.take()) {
+        throw createHttpError(429, 'Too many requests', quotaMessage(quota.limit));
+      }
+      const result = await renderFormula(type, formula, format, options);
+      const buffer = Buffer.isBuffer(result.body) ? result.body : Buffer.from(result.body);
+      return { buffer, headers: buildRenderHeaders(result) };
+    };
+
+    // Items the single routes wouldn't cache are rendered outside the cache too
+    const cacheKey = cacheKeyForItem(type, format, item.formula, options);
+    let entry = null;
+    let cacheStatus = 'BYPASS';
+
+    if (!cacheKey) {
+      entry = await render();
+    } else {
+      let flight = cache.claim(cacheKey);
+      entry = flight.leader ? null : await cache.join(flight);
+      cacheStatus = 'COALESCED';
+
+      if (!entry) {
+        // Either this item claimed the key, or the render it waited on failed
+        if (!flight.leader) flight = { settle: () => {} };
+        try {
+          entry = await cache.lookup(cacheKey);
+          cacheStatus = entry ? 'HIT' : 'MISS';
+
+          if (!entry) {
+            entry = await render();
+            cache.store(cacheKey, entry.buffer, entry.headers);
+          }
+        } finally {
+          flight.settle(entry);
+        }
+      }
+    }
+
+    const binary = format === 'png';
+    return {
+      index,
+      id,
+      status: 200,
+      format,
+      contentType: entry.headers['Content-Type'],
+      cache: cacheStatus,
+      encoding: binary ? 'base64' : 'utf8',
+      data: entry.buffer.toString(binary ? 'base64' : 'utf8'),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return { index, id, status: error.statusCode, error: error.message, message: error.detail, ...getTexErrorDetails(error) };
+    }
+    return { index, id, status: 500, error: 'Internal server error', message: error.message };
+  }
+};
+
+router.post('/', async (req, res, next) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid batch request',
+        message: 'The request body must be a non-empty JSON array of formulas (or { "items": [...] })',
+      });
+    }
+    if (items.length > config.batch.maxItems) {
+      return res.status(413).json({
+        error: 'Batch too large',
+        message: `A batch may contain at most ${config.batch.maxItems} formulas, got ${items.length}`,
+      });
+    }
+
+    // Items are rendered in order; they would serialize on the MathJax lock anyway
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+      results.push(await renderItem(items[i], i, req.renderQuota));
+    }
+
+    // Counted against the client's daily render quota (see middleware/rateLimit)
+    res.locals.renders = results.filter(r => r.cache === 'MISS' || r.cache === 'BYPASS').length;
+
+    const failures = results.filter(r => r.status !== 200);
+    failures.forEach(r => metrics.errors.inc({ type: r.error, status: r.status }));
+    const failed = failures.length;
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      results,
+      summary: { total: results.length, succeeded: results.length - failed, failed },
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
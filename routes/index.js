@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const cacheMiddleware = require('../middleware/cache');
+const config = require('../config');
+const requireAdmin = require('../middleware/adminAuth');
+const metrics = require('../utils/metrics');
+const { describePackagePolicy } = require('../services/texPolicy');
+const { getDefaultPackages } = require('../services/mathJaxConverters');
+const { describeMacroSets } = require('../services/texMacros');
 
 router.get('/', (req, res) => {
   res.json({
@@ -11,28 +16,42 @@ router.get('/', (req, res) => {
       asciimath: '/asciimath?asciimath=x^2&format=svg',
       mathml: '/mathml?mathml=<math>...</math>&format=png',
       speechtext: '/speechtext?mathml=<math>...</math>&lang=en',
+      batch: 'POST /batch',
+      validate: '/validate?latex=\\frac{a}{b}',
+      packages: '/packages',
       health: '/health',
-      stats: '/cache-stats',
+      metrics: '/metrics (token required unless METRICS_PUBLIC is set)',
+      admin: '/admin/{health,cache-stats,cache-clear,config} (token required)',
     },
   });
 });
 
+// Public health check: deliberately minimal, details are under /admin/health
 router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
   });
 });
 
-router.get('/cache-stats', (req, res) => {
-  res.json(cacheMiddleware.getStats());
+// TeX packages: loaded by default, allowed in \require{}, and refused (with the reason),
+// plus the named macro sets for `macros=<name>`
+router.get('/packages', (req, res) => {
+  const { safeMode, allowed, refused } = describePackagePolicy();
+  res.json({ safeMode, defaults: getDefaultPackages(), allowed, refused, macroSets: describeMacroSets() });
 });
 
-router.post('/cache-clear', (req, res) => {
-  const result = cacheMiddleware.clear();
-  res.json(result);
+// Prometheus scrape endpoint. Traffic, queue and cache figures are for operators,
+// so it takes an admin token like /admin unless METRICS_PUBLIC opens it up
+const requireMetricsAccess = (req, res, next) => (config.admin.publicMetrics ? next() : requireAdmin(req, res, next));
+
+router.get('/metrics', requireMetricsAccess, async (req, res, next) => {
+  try {
+    res.set('Content-Type', metrics.CONTENT_TYPE);
+    res.send(await metrics.renderMetrics());
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
\ No newline at end of file
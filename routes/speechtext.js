@@ -1,20 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const cacheMiddleware = require('../middleware/cache');
+const formulaBody = require('../middleware/formulaBody');
+const requireSignature = require('../middleware/requireSignature');
 const { processFormula } = require('../utils');
-const { withTimeout, mathJaxLock } = require('../utils/locks');
-const { speechTextFromTeX, speechTextFromMathML, speechTextFromAM, getSpeechOptionsFromQuery, validateSpeechOptions } = require('../services/speechGenerators');
-const { sendError } = require('../utils/sendErrorHandler');
+const { speechTextFromTeX, speechTextFromMathML, speechTextFromAM, getSpeechOptionsFromQuery, validateSpeechOptions, getDefaultEngine } = require('../services/speechGenerators');
+const { sendError, sendServiceError } = require('../utils/sendErrorHandler');
+const { logger, formatFormula } = require('../utils/logger');
 
+router.use(formulaBody());
+router.use(requireSignature);
 router.use(cacheMiddleware);
 
 const sendSpeechText = (text="", res) => {
+  // Counted against the client's daily render quota (see middleware/rateLimit)
+  res.locals.renders = 1;
   res.set('Content-Type', 'text/plain; charset=utf-8');
   res.set('Cache-Control', 'public, max-age=86400');
   res.send(text);
 }
 
-router.get('/', async (req, res, next) => {
+const generateSpeech = async (req, res, next) => {
   try {    
     const { asciimath, latex, mathml } = req.query;
 
@@ -26,21 +32,21 @@ router.get('/', async (req, res, next) => {
     } else if(latex) {
       const formula = processFormula(req, res, latex);
       if (!formula) return;
-      console.log('Received Formula:', formula);
+      logger.debug('Received formula', { formula: formatFormula(formula) });
       const speechText = await speechTextFromTeX(formula, req.query);
       sendSpeechText(speechText, res);
 
     } else if(mathml) {
       const formula = processFormula(req, res, mathml);
       if (!formula) return;
-      console.log('Received Formula:', formula);
+      logger.debug('Received formula', { formula: formatFormula(formula) });
       const speechText = await speechTextFromMathML(formula, req.query);
       sendSpeechText(speechText, res);
 
     } else if(asciimath) {
       const formula = processFormula(req, res, asciimath);
       if (!formula) return;
-      console.log('Received Formula:', formula);
+      logger.debug('Received formula', { formula: formatFormula(formula) });
       const speechText = await speechTextFromAM(formula, req.query);
       sendSpeechText(speechText, res);
 
@@ -49,31 +55,22 @@ router.get('/', async (req, res, next) => {
     }
     
   } catch (error) {
-    sendError(req, res, 500, 'Internal server error', `${error.message} ${error.stack}`);
+    sendServiceError(req, res, error);
   }
-});
+};
+
+router.get('/', generateSpeech);
+router.post('/', generateSpeech);
 
 // Helper endpoint to get valid options
 router.get('/options', (req, res) => {
   res.json(getValidOptions());
 });
 
-function getDefaultStyle(engine) {
-  return engine.toLowerCase() === 'mathcat' ? 'ClearSpeak' : 'ClearSpeak';
-}
-
-function getDefaultVerbosity(engine, style) {
-  if (engine.toLowerCase() === 'mathcat') {
-    return 'Verbose';
-  } else {
-    return style === 'MathSpeak' ? 'Verbose' : 'Explicit';
-  }
-}
-
 function getValidOptions() {
   return {
     engines: ['mathcat', 'sre'],
-    defaultEngine: 'mathcat',
+    defaultEngine: getDefaultEngine(),
     mathcat: {
       styles: {
         ClearSpeak: ['Verbose', 'Medium', 'Terse'],
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const formulaBody = require('../middleware/formulaBody');
+const requireSignature = require('../middleware/requireSignature');
+const metrics = require('../utils/metrics');
+const { decodeFormula } = require('../utils');
+const { validateTeX } = require('../services/texValidator');
+const { getMacroDefinitions } = require('../services/texMacros');
+
+router.use(formulaBody('latex'));
+router.use(requireSignature);
+
+/**
+ * Check a TeX formula without rendering it. Always answers with JSON:
+ * { valid, problems } for a formula that could be checked, { error, message }
+ * with the error status otherwise.
+ */
+const validateLatex = async (req, res, next) => {
+  try {
+    const { latex } = req.query;
+    // Rate limited, but nothing is rendered, so not counted against the daily render quota
+    res.set('Cache-Control', 'no-store');
+
+    if (!latex) {
+      metrics.errors.inc({ type: 'Missing required parameter(s)', status: 400 });
+      return res.status(400).json({ error: 'Missing required parameter(s)', message: 'latex parameter is required' });
+    }
+
+    const formula = decodeFormula(latex, req.query.isBase64);
+    res.json(await validateTeX(formula, getMacroDefinitions(req.query)));
+
+  } catch (error) {
+    if (!error.statusCode) return next(error);
+    metrics.errors.inc({ type: error.message, status: error.statusCode });
+    res.status(error.statusCode).json({ error: error.message, message: error.detail });
+  }
+};
+
+router.get('/', validateLatex);
+router.post('/', validateLatex);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const { buildMathConversionOptions, normalizeHexColor } = require('./mathJaxConverters');
+const { buildPngFromSvgConversionOptions } = require('./imageConverter');
+const { getSpeechOptionsFromQuery } = require('./speechGenerators');
+const { INPUT_TYPES } = require('./mathRenderer');
+const { describeTexMacros } = require('./texMacros');
+const { toBool, decodeFormula, validateOutputFormat } = require('../utils');
+const { getErrorFormat } = require('../utils/sendErrorHandler');
+
+// Input precedence of /speechtext when several are given
+const TEXT_INPUT_ORDER = ['latex', 'mathml', 'asciimath'];
+
+/**
+ * Sorted [key, value] pairs, for requests to routes without a dedicated description
+ */
+const normalizeParams = (params) =>
+  Object.keys(params).sort().map((key) => {
+    const value = params[key];
+    return [key, typeof value === 'string' ? value.replace(/\r\n?/g, '\n').trim() : value];
+  });
+
+/**
+ * Copy of a description with object keys in sorted order at every level, so
+ * options objects built in different orders serialize the same
+ */
+const sortKeys = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+};
+
+/**
+ * Describe an image route request by what affects its output: the decoded
+ * formula and the defaulted options for the requested format.
+ */
+const describeRender = (inputType, query) => {
+  const format = validateOutputFormat(query);
+  const description = { input: inputType, formula: decodeFormula(query[inputType], query.isBase64), format };
+  // With errors=json, TeX that would render as merror is an error response instead
+  if (getErrorFormat(query) === 'json') description.errors = 'json';
+  // The macro set's version, so renders made with an older version of the set aren't reused
+  if (inputType === 'latex') description.macros = describeTexMacros(query);
+
+  if (format === 'mathml') {
+    description.display = buildMathConversionOptions(query).display;
+    description.semantics = toBool(query.semantics);
+    return description;
+  }
+
+  description.math = buildMathConversionOptions(query);
+  if (format === 'metadata') return description;
+
+  description.fg = normalizeHexColor(query.fg);
+  const image = format === 'json'
+    ? (query.image ? String(query.image).toLowerCase() : (toBool(query.svg) ? 'svg' : 'png'))
+    : format;
+  description.image = image;
+  if (image === 'png') {
+    description.png = buildPngFromSvgConversionOptions(query);
+  }
+  if (format === 'json') {
+    description.semantics = toBool(query.semantics);
+  }
+  if (format === 'json' || toBool(query.a11y)) {
+    description.a11y = toBool(query.a11y);
+    description.speech = getSpeechOptionsFromQuery(query);
+  }
+  return description;
+};
+
+/**
+ * Describe a /speechtext request: the formula the route will use, plus the
+ * speech options
+ */
+const describeText = (query) => {
+  const inputType = TEXT_INPUT_ORDER.find(type => query[type]);
+  if (!inputType) return null;
+
+  const formula = decodeFormula(query[inputType], query.isBase64);
+  const description = { input: inputType, formula, ...getSpeechOptionsFromQuery(query) };
+  if (getErrorFormat(query) === 'json') description.errors = 'json';
+  if (inputType === 'latex') description.macros = describeTexMacros(query);
+  return description;
+};
+
+/**
+ * Describe a conversion request by everything that affects its response, so
+ * equivalent requests (parameter order, `svg=1` vs `svg=true`, base64 vs plain
+ * formulas, GET vs POST, ignored parameters) describe the same way.
+ * @param {string} route - Route path, e.g. '/latex'
+ * @param {Object} query - Request parameters (query string merged with any POST body)
+ * @returns {Object|null} Description, or null if the request can't be served
+ *   (e.g. no formula or invalid base64) and should bypass the cache
+ */
+const describeRequest = (route, query = {}) => {
+  try {
+    const inputType = route.slice(1);
+    if (INPUT_TYPES.includes(inputType)) {
+      return sortKeys(describeRender(inputType, query));
+    }
+    if (route === '/speechtext') {
+      return sortKeys(describeText(query));
+    }
+    return { params: normalizeParams(query) };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  describeRequest,
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Spread files over 256 subdirectories so no directory gets huge
+const shardedPath = (dir, hash, extension = '') => path.join(dir, hash.slice(0, 2), hash + extension);
+
+/**
+ * Write a file atomically, so readers in other processes never see a partial file
+ */
+const writeFileAtomic = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+};
+
+const removeFile = (file) => fs.rm(file, { force: true });
+
+// A body is written just before its index entry; leave unreferenced bodies this
+// long (ms) so a scan doesn't delete one another process is still indexing
+const ORPHAN_GRACE_PERIOD = 60 * 1000;
+
+/**
+ * Cache store on disk (CACHE_STORE=disk).
+ *
+ * Bodies are stored content-addressed under objects/ (named by the SHA-256 of
+ * the body, so identical responses are stored once). The index is one small
+ * JSON file per cache key under index/, holding the body hash, the headers and
+ * timestamps. Every file is written atomically, so several processes (e.g. PM2
+ * cluster workers) can share a directory and see each other's entries.
+ *
+ * Entries expire after `ttl` ms. When the objects grow past `maxSize` bytes,
+ * the least recently used index entries are dropped until the cache is back
+ * under 90% of the cap, and bodies no entry refers to are deleted.
+ */
+class DiskStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory (created if missing)
+   * @param {number} options.maxSize - Size cap for stored bodies in bytes
+   * @param {number} options.ttl - Entry lifetime in milliseconds
+   */
+  constructor({ dir, maxSize, ttl }) {
+    this.dir = dir;
+    this.indexDir = path.join(dir, 'index');
+    this.objectsDir = path.join(dir, 'objects');
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.size = 0;
+    this.entries = 0;
+    this.evictions = 0;
+    this.pruning = null;
+    this.ready = this.scan().catch((error) => {
+      logger.error('Disk cache store scan failed', { error: error.message });
+    });
+  }
+
+  indexFile(key) {
+    return shardedPath(this.indexDir, sha256(key), '.json');
+  }
+
+  objectFile(hash) {
+    return shardedPath(this.objectsDir, hash);
+  }
+
+  /**
+   * Read every index entry, with the file it lives in
+   */
+  async readIndex() {
+    const entries = [];
+    const shards = await fs.readdir(this.indexDir).catch(() => []);
+    for (const shard of shards) {
+      const files = await fs.readdir(path.join(this.indexDir, shard)).catch(() => []);
+      for (const name of files.filter(f => f.endsWith('.json'))) {
+        const file = path.join(this.indexDir, shard, name);
+        try {
+          entries.push({ file, ...JSON.parse(await fs.readFile(file, 'utf8')) });
+        } catch (error) {
+          // Unreadable entry (e.g. removed by another process); skip it
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Recount entries and stored bytes, dropping expired entries and orphaned bodies
+   */
+  async scan() {
+    const now = Date.now();
+    const live = [];
+    for (const entry of await this.readIndex()) {
+      if (now - entry.created > this.ttl) {
+        await removeFile(entry.file);
+      } else {
+        live.push(entry);
+      }
+    }
+
+    const referenced = new Set(live.map(entry => entry.hash));
+    let size = 0;
+    const shards = await fs.readdir(this.objectsDir).catch(() => []);
+    for (const shard of shards) {
+      const files = await fs.readdir(path.join(this.objectsDir, shard)).catch(() => []);
+      for (const name of files) {
+        const file = path.join(this.objectsDir, shard, name);
+        const stats = await fs.stat(file).catch(() => null);
+        if (!stats) continue;
+        if (referenced.has(name)) {
+          size += stats.size;
+        } else if (now - stats.mtimeMs > ORPHAN_GRACE_PERIOD) {
+          await removeFile(file);
+        }
+      }
+    }
+
+    this.entries = live.length;
+    this.size = size;
+    return live;
+  }
+
+  /**
+   * Evict least recently used entries until the cache is under 90% of maxSize.
+   * Runs at most once at a time.
+   */
+  prune() {
+    if (!this.pruning) {
+      this.pruning = (async () => {
+        const live = await this.scan();
+        if (this.size <= this.maxSize) return;
+
+        live.sort((a, b) => a.accessed - b.accessed);
+        const target = this.maxSize * 0.9;
+        const evicted = [];
+        while (live.length && this.size > target) {
+          const entry = live.shift();
+          await removeFile(entry.file);
+          evicted.push(entry);
+          this.size -= entry.size;
+          this.evictions++;
+        }
+
+        // Delete the bodies nothing refers to any more, and get exact totals
+        const referenced = new Set(live.map(entry => entry.hash));
+        for (const entry of evicted.filter(e => !referenced.has(e.hash))) {
+          await removeFile(this.objectFile(entry.hash));
+        }
+        await this.scan();
+      })()
+        .catch((error) => logger.error('Disk cache store prune failed', { error: error.message }))
+        .finally(() => {
+          this.pruning = null;
+        });
+    }
+    return this.pruning;
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<{buffer: Buffer, headers: Object, timestamp: number}|undefined>}
+   */
+  async get(key) {
+    const file = this.indexFile(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+
+    if (entry.key !== key) return undefined;
+    if (Date.now() - entry.created > this.ttl) {
+      await removeFile(file);
+      this.entries = Math.max(0, this.entries - 1);
+      return undefined;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(this.objectFile(entry.hash));
+    } catch (error) {
+      // Body was evicted by another process
+      await removeFile(file);
+      return undefined;
+    }
+
+    // Record the access for LRU eviction; not worth failing the lookup over
+    writeFileAtomic(file, JSON.stringify({ ...entry, accessed: Date.now() })).catch(() => {});
+
+    return { buffer, headers: entry.headers, timestamp: entry.created };
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Buffer} buffer - Response body
+   * @param {Object} headers - Response headers to replay on a hit
+   */
+  async set(key, buffer, headers) {
+    const hash = sha256(buffer);
+    const objectFile = this.objectFile(hash);
+    const exists = await fs.stat(objectFile).then(() => true, () => false);
+    if (!exists) {
+      await writeFileAtomic(objectFile, buffer);
+      this.size += buffer.length;
+    }
+
+    const indexFile = this.indexFile(key);
+    const isNew = await fs.stat(indexFile).then(() => false, () => true);
+    const now = Date.now();
+    await writeFileAtomic(indexFile, JSON.stringify({
+      key,
+      hash,
+      size: buffer.length,
+      headers,
+      created: now,
+      accessed: now,
+    }));
+    if (isNew) this.entries++;
+
+    if (this.size > this.maxSize) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    await this.ready;
+    const cleared = (await this.readIndex()).length;
+    await fs.rm(this.indexDir, { recursive: true, force: true });
+    await fs.rm(this.objectsDir, { recursive: true, force: true });
+    this.entries = 0;
+    this.size = 0;
+    return cleared;
+  }
+
+  async getStats() {
+    await this.ready;
+    return {
+      backend: 'disk',
+      dir: this.dir,
+      entries: this.entries,
+      size: this.size,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      evictions: this.evictions,
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  DiskStore,
+};
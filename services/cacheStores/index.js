@@ -0,0 +1,44 @@
+// Response cache stores. Every store implements the same async interface:
+//
+//   get(key)                  -> {buffer, headers, timestamp} or undefined
+//   set(key, buffer, headers) -> stores a response
+//   clear()                   -> number of entries removed
+//   getStats()                -> {backend, entries, size, ttl, ...}
+//   close()                   -> releases connections/handles
+//
+// middleware/cache.js keeps a MemoryStore as the first tier and, when
+// CACHE_STORE names a shared backend, uses that store as the second tier.
+const { MemoryStore } = require('./memoryStore');
+const { DiskStore } = require('./diskStore');
+const { RedisStore } = require('./redisStore');
+
+const CACHE_STORES = ['memory', 'disk', 'redis'];
+
+/**
+ * Create the shared (second tier) store configured by `cache.store`
+ * @param {Object} cacheConfig - config.cache
+ * @returns {DiskStore|RedisStore|null} null for CACHE_STORE=memory
+ */
+const createSharedStore = (cacheConfig) => {
+  switch (cacheConfig.store) {
+    case 'memory':
+      return null;
+    case 'disk':
+      if (!cacheConfig.disk.dir) {
+        throw new Error('CACHE_STORE=disk needs CACHE_DISK_DIR');
+      }
+      return new DiskStore(cacheConfig.disk);
+    case 'redis':
+      return new RedisStore(cacheConfig.redis);
+    default:
+      throw new Error(`Unknown CACHE_STORE '${cacheConfig.store}'. Must be one of: ${CACHE_STORES.join(', ')}`);
+  }
+};
+
+module.exports = {
+  CACHE_STORES,
+  MemoryStore,
+  DiskStore,
+  RedisStore,
+  createSharedStore,
+};
@@ -0,0 +1,60 @@
+const { LRUCache } = require('lru-cache');
+
+/**
+ * In-process LRU cache store (CACHE_STORE=memory). Always used as the first
+ * tier in front of a shared store.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.max - Maximum number of entries
+   * @param {number} options.maxSize - Size cap for bodies plus headers in bytes
+   * @param {number} options.ttl - Entry lifetime in milliseconds
+   */
+  constructor({ max, maxSize, ttl }) {
+    this.evictions = 0;
+    this.cache = new LRUCache({
+      max,
+      maxSize,
+      sizeCalculation: (value) => {
+        return value.buffer.length + JSON.stringify(value.headers).length;
+      },
+      ttl,
+      dispose: (value, key, reason) => {
+        if (reason === 'evict') this.evictions++;
+      },
+    });
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, buffer, headers) {
+    this.cache.set(key, { buffer, headers, timestamp: Date.now() });
+  }
+
+  async clear() {
+    const cleared = this.cache.size;
+    this.cache.clear();
+    return cleared;
+  }
+
+  async getStats() {
+    return {
+      backend: 'memory',
+      entries: this.cache.size,
+      size: this.cache.calculatedSize,
+      maxSize: this.cache.maxSize,
+      max: this.cache.max,
+      ttl: this.cache.ttl,
+      evictions: this.evictions,
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  MemoryStore,
+};
@@ -0,0 +1,253 @@
+const net = require('net');
+const tls = require('tls');
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+const encodeCommand = (args) => {
+  const parts = [Buffer.from(`*${args.length}${CRLF}`)];
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}${CRLF}`), value, Buffer.from(CRLF));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Parse one RESP reply from `buffer` at `offset`
+ * @returns {{value: *, offset: number}|null} The reply and where the next one
+ *   starts, or null if the buffer doesn't hold a complete reply yet.
+ *   Error replies are returned as Error instances.
+ */
+const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.subarray(next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type '${type}'`);
+  }
+};
+
+/**
+ * A minimal client for servers speaking the Redis protocol (Redis, Valkey,
+ * KeyDB, ...). Commands are pipelined on one connection, which is opened on
+ * first use and reopened after an error.
+ */
+class RedisConnection {
+  /**
+   * @param {string} url - redis://[[username]:password@]host[:port][/db], or rediss:// for TLS
+   * @param {number} timeoutMs - Time to wait for a reply before dropping the connection
+   */
+  constructor(url, timeoutMs) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+      throw new Error(`Unsupported Redis URL protocol '${parsed.protocol}', expected redis: or rediss:`);
+    }
+    this.tls = parsed.protocol === 'rediss:';
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : '';
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : '';
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    const socket = this.tls
+      ? tls.connect({ host: this.host, port: this.port, servername: net.isIP(this.host) ? undefined : this.host })
+      : net.createConnection({ host: this.host, port: this.port });
+    socket.setNoDelay(true);
+    socket.on('data', (data) => this.receive(socket, data));
+    socket.on('error', (error) => this.fail(socket, error));
+    socket.on('close', () => this.fail(socket, new Error('Redis connection closed')));
+    // An idle cache connection shouldn't keep the process alive
+    socket.unref();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    // With a username, authenticate as that ACL user (Redis 6+)
+    if (this.password) {
+      const auth = this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password];
+      this.send(auth).catch(() => {});
+    }
+    if (this.db) this.send(['SELECT', this.db]).catch(() => {});
+  }
+
+  receive(socket, data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let reply;
+    try {
+      while (this.pending.length && (reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = this.pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof Error) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      // Not a Redis server, or out of step with it: the rest of the stream can't be trusted
+      this.fail(socket, error);
+    }
+  }
+
+  /**
+   * Drop the connection and fail everything waiting on it
+   */
+  fail(socket, error) {
+    if (socket !== this.socket) return;
+    this.socket = null;
+    socket.destroy();
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  /**
+   * Send a command
+   * @param {Array<string|number|Buffer>} args - Command name and arguments
+   * @returns {Promise<*>} The reply; bulk strings come back as Buffers
+   */
+  send(args) {
+    if (!this.socket) this.connect();
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.fail(socket, new Error(`Redis ${args[0]} timed out`));
+      }, this.timeoutMs);
+      timer.unref();
+      this.pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  close() {
+    if (this.socket) this.fail(this.socket, new Error('Redis connection closed'));
+  }
+}
+
+/**
+ * Cache store on a Redis-protocol server (CACHE_STORE=redis), shared by every
+ * instance pointing at it. Entries are stored as one value per key: a 4-byte
+ * length, a JSON header (response headers, creation time), then the body.
+ * All keys carry `prefix`, so clear() and getStats() only touch this
+ * service's entries on a shared server.
+ */
+class RedisStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server URL, redis://[[username]:password@]host[:port][/db], or rediss:// for TLS
+   * @param {string} options.prefix - Key prefix
+   * @param {number} options.ttl - Entry lifetime in milliseconds
+   * @param {number} options.timeout - Per-command timeout in milliseconds
+   */
+  constructor({ url, prefix, ttl, timeout }) {
+    this.url = url;
+    this.prefix = prefix;
+    this.ttl = ttl;
+    this.connection = new RedisConnection(url, timeout);
+  }
+
+  async get(key) {
+    const value = await this.connection.send(['GET', this.prefix + key]);
+    if (!value) return undefined;
+
+    const metaLength = value.readUInt32BE(0);
+    const meta = JSON.parse(value.toString('utf8', 4, 4 + metaLength));
+    return { buffer: value.subarray(4 + metaLength), headers: meta.headers, timestamp: meta.created };
+  }
+
+  async set(key, buffer, headers) {
+    const meta = Buffer.from(JSON.stringify({ headers, created: Date.now() }));
+    const metaLength = Buffer.alloc(4);
+    metaLength.writeUInt32BE(meta.length);
+    await this.connection.send(['SET', this.prefix + key, Buffer.concat([metaLength, meta, buffer]), 'PX', this.ttl]);
+  }
+
+  /**
+   * Visit every key with this store's prefix
+   * @param {function(string[]): Promise<void>} visit - Called with each batch of keys
+   */
+  async scanKeys(visit) {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.connection.send(['SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500]);
+      cursor = nextCursor.toString();
+      if (keys.length) await visit(keys.map(k => k.toString()));
+    } while (cursor !== '0');
+  }
+
+  async clear() {
+    let cleared = 0;
+    await this.scanKeys(async (keys) => {
+      cleared += await this.connection.send(['DEL', ...keys]);
+    });
+    return cleared;
+  }
+
+  async getStats() {
+    let entries = 0;
+    let size = 0;
+    await this.scanKeys(async (keys) => {
+      entries += keys.length;
+      const lengths = await Promise.all(keys.map(k => this.connection.send(['STRLEN', k])));
+      size += lengths.reduce((total, length) => total + length, 0);
+    });
+    const url = new URL(this.url);
+    url.password = url.password ? '***' : '';
+    return {
+      backend: 'redis',
+      url: url.toString(),
+      prefix: this.prefix,
+      entries,
+      size,
+      ttl: this.ttl,
+    };
+  }
+
+  async close() {
+    this.connection.close();
+  }
+}
+
+module.exports = {
+  RedisStore,
+  encodeCommand,
+  parseReply,
+};
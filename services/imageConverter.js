@@ -1,6 +1,7 @@
 const { Resvg } = require('@resvg/resvg-js');
 const config = require('../config');
 const { toBool, toNum, getNumberParam } = require('../utils');
+const { logger } = require('../utils/logger');
 
 /**
  * Convert SVG string to PNG buffer
@@ -8,10 +9,6 @@ const { toBool, toNum, getNumberParam } = require('../utils');
 function pngFromSvg(svgString, pngOptions = {}) {
   try {
     const resvg = new Resvg(svgString, {
-      fitTo: {
-        mode: 'width',
-        value: pngOptions.width || config.image.defaultWidth,
-      },
       font: {
         loadSystemFonts: false,
       },
@@ -28,7 +25,7 @@ function pngFromSvg(svgString, pngOptions = {}) {
     return pngData.asPng();
     
   } catch (error) {
-    console.error('SVG to PNG conversion failed:', {
+    logger.error('SVG to PNG conversion failed', {
       error: error.message,
       svgLength: svgString.length,
       options: pngOptions
@@ -80,7 +77,71 @@ const buildPngFromSvgConversionOptions = (query = {}) => {
   return options;
 }
 
+/**
+ * Read the pixel dimensions from a PNG's IHDR chunk
+ * @param {Buffer} png - PNG image
+ * @returns {{width: number, height: number}}
+ */
+function getPngSize(png) {
+  return {
+    width: png.readUInt32BE(16),
+    height: png.readUInt32BE(20),
+  };
+}
+
+// CRC-32 as used for PNG chunks (zlib.crc32 is only in newer Node releases)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed iTXt (international UTF-8 text) chunk
+ */
+function buildITXtChunk(keyword, text) {
+  const type = Buffer.from('iTXt', 'latin1');
+  const data = Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    // null separator, compression flag + method, empty language tag and translated keyword
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(text, 'utf8'),
+  ]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+  return Buffer.concat([length, type, data, crc]);
+}
+
+/**
+ * Add text metadata to a PNG as iTXt chunks, inserted just before IEND
+ * @param {Buffer} png - PNG image
+ * @param {Object} texts - Keyword to text, e.g. { Title: 'x squared' }
+ * @returns {Buffer} PNG image with the text chunks
+ */
+function addPngTextChunks(png, texts) {
+  const chunks = Object.entries(texts)
+    .filter(([, text]) => text)
+    .map(([keyword, text]) => buildITXtChunk(keyword, text));
+  // IEND is always the last 12 bytes: length (0), type and CRC
+  const iendOffset = png.length - 12;
+  return Buffer.concat([png.subarray(0, iendOffset), ...chunks, png.subarray(iendOffset)]);
+}
+
 module.exports = {
+  addPngTextChunks,
   buildPngFromSvgConversionOptions,
+  getPngSize,
   pngFromSvg
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+// Size and complexity limits for formulas (config.limits), checked before a
+// formula is queued for MathJax so oversized or pathological input never holds
+// the MathJax lock or a worker until the timeout. The measures are cheap scans
+// of the source, not a parse: close enough to bound the work MathJax would do.
+const config = require('../config');
+const { createHttpError } = require('../utils/sendErrorHandler');
+
+// TeX tokens that matter here: groups, environments, \left/\right, escaped
+// characters (including \\ row breaks), \cr, \require and cell separators
+const TEX_TOKENS = /\\(begin|end|left|right|cr|require)(?![a-zA-Z])|\\(.)|[{}&]/g;
+
+const ASCIIMATH_OPEN = '([{';
+const ASCIIMATH_CLOSE = ')]}';
+
+const MATHML_TAGS = /<(\/?)([a-zA-Z][\w:.-]*)[^>]*?(\/?)>/g;
+
+/**
+ * Measure a TeX formula
+ * @param {string} tex
+ * @returns {{depth: number, cells: number, requires: number}}
+ */
+function measureTeX(tex) {
+  let depth = 0;
+  let maxDepth = 0;
+  let separators = 0;
+  let requires = 0;
+
+  for (const [token, name, escaped] of tex.matchAll(TEX_TOKENS)) {
+    if (token === '{' || name === 'begin' || name === 'left') {
+      depth++;
+      maxDepth = Math.max(maxDepth, depth);
+    } else if (token === '}' || name === 'end' || name === 'right') {
+      depth = Math.max(0, depth - 1);
+    } else if (token === '&' || name === 'cr' || escaped === '\\') {
+      separators++;
+    } else if (name === 'require') {
+      requires++;
+    }
+  }
+
+  // Each & or row break starts another cell
+  return { depth: maxDepth, cells: separators ? separators + 1 : 0, requires };
+}
+
+/**
+ * Measure an AsciiMath formula (brackets only; it has no cheap cell count)
+ * @param {string} asciimath
+ * @returns {{depth: number}}
+ */
+function measureAsciiMath(asciimath) {
+  let depth = 0;
+  let maxDepth = 0;
+  for (const c of asciimath) {
+    if (ASCIIMATH_OPEN.includes(c)) {
+      depth++;
+      maxDepth = Math.max(maxDepth, depth);
+    } else if (ASCIIMATH_CLOSE.includes(c)) {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+  return { depth: maxDepth };
+}
+
+/**
+ * Measure a MathML formula
+ * @param {string} mathml
+ * @returns {{depth: number, cells: number, elements: number}}
+ */
+function measureMathML(mathml) {
+  let depth = 0;
+  let maxDepth = 0;
+  let elements = 0;
+  let cells = 0;
+
+  for (const [, closing, name, selfClosing] of mathml.matchAll(MATHML_TAGS)) {
+    if (closing) {
+      depth = Math.max(0, depth - 1);
+      continue;
+    }
+    elements++;
+    if (name.replace(/^\w+:/, '') === 'mtd') cells++;
+    if (!selfClosing) {
+      depth++;
+      maxDepth = Math.max(maxDepth, depth);
+    }
+  }
+  return { depth: maxDepth, cells, elements };
+}
+
+const MEASURES = { latex: measureTeX, asciimath: measureAsciiMath, mathml: measureMathML };
+
+/**
+ * The error for a formula over a limit. It refuses the request itself rather
+ * than reporting a rendering problem, so it keeps its status on error images too.
+ */
+const limitError = (status, title, detail) => createHttpError(status, title, detail, { sendStatus: true });
+
+/**
+ * Reject a formula over any of the configured limits
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @throws {Error} 413 HTTP error for a formula that is too long, 422 for one that is too complex
+ */
+function checkInputLimits(inputType, formula) {
+  const limits = config.limits;
+  const text = String(formula);
+
+  const maxLength = inputType === 'mathml' ? limits.maxMathMLLength : limits.maxLength;
+  if (text.length > maxLength) {
+    throw limitError(413, 'Formula too long',
+      `The formula is ${text.length} characters long; the limit is ${maxLength}`);
+  }
+
+  const measure = MEASURES[inputType];
+  if (!measure) return;
+  const { depth, cells, requires, elements } = measure(text);
+
+  if (depth > limits.maxDepth) {
+    throw limitError(422, 'Formula nested too deeply',
+      `The formula is nested ${depth} levels deep; the limit is ${limits.maxDepth}`);
+  }
+  if (cells > limits.maxMatrixCells) {
+    throw limitError(422, 'Too many matrix cells',
+      `The formula has ${cells} matrix cells; the limit is ${limits.maxMatrixCells}`);
+  }
+  if (requires > limits.maxRequires) {
+    throw limitError(422, 'Too many \\require calls',
+      `The formula has ${requires} \\require calls; the limit is ${limits.maxRequires}`);
+  }
+  if (elements > limits.maxMathMLElements) {
+    throw limitError(422, 'Too many MathML elements',
+      `The formula has ${elements} MathML elements; the limit is ${limits.maxMathMLElements}`);
+  }
+}
+
+module.exports = {
+  measureTeX,
+  measureAsciiMath,
+  measureMathML,
+  checkInputLimits,
+};
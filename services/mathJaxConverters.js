@@ -1,8 +1,28 @@
 // node >=18
+const crypto = require("crypto");
+const { LRUCache } = require("lru-cache");
+const config = require("../config");
 const { toBool, toNum } = require("../utils");
+const { createHttpError } = require("../utils/sendErrorHandler");
+const { logger } = require("../utils/logger");
+const { BUNDLED_PACKAGES, UNICODE_SIZE, extractRequiredPackages, isPackageAllowed, isPackageDisabled } = require("./texPolicy");
 
 let currentPackageSignature = 'mathjax needs loading';
 let mathJaxReady = null;
+let reconfigurations = 0;
+
+// The last TeX error MathJax reported (see describeTexError), and the undefined
+// macros of the last conversion (see recordUndefinedMacros). Each thread runs
+// one conversion at a time, so one slot is enough.
+let lastTexError = null;
+let undefinedMacros = [];
+
+// A TeX macro name: a backslash and letters, or a backslash and one other character
+const MACRO = /\\(?:[a-zA-Z]+|[^a-zA-Z\s])/;
+
+// Warm MathJax instances keyed by package signature. Each entry holds a fully
+// booted MathJax object, so switching between signatures only swaps global.MathJax.
+const mathJaxInstances = new LRUCache({ max: config.mathJax.warmInstances });
 
 const CoreV3ish = [
   // mirrors MathJax v3's AllPackages
@@ -33,60 +53,221 @@ const CoreV3ish = [
 ];
 
 /**
- * Extract required packages from a TeX string
- * @param {string} tex - The TeX string to analyze
- * @returns {string[]} Array of required package names
+ * TeX packages every MathJax instance loads, less any the package policy disables
+ * @returns {string[]}
  */
-function extractRequiredPackages(tex) {
-  const requireRegex = /\\require\{([^}]+)\}/g;
-  const packages = [];
-  let match;
-  
-  while ((match = requireRegex.exec(tex)) !== null) {
-    packages.push(match[1].trim());
+const getDefaultPackages = () => [...CoreV3ish, "mhchem"].filter((name) => !isPackageDisabled(name));
+
+/**
+ * Describe a TeX error from the state of the parser that raised it.
+ * MathJax keeps the parsers still running when the error was thrown, innermost
+ * first; each nested parser works on a piece of its parent's string (e.g. a
+ * macro argument), which is located in the parent to turn the innermost parser's
+ * position into an offset in the whole formula.
+ * @param {Object} jax - The MathJax TeX input jax
+ * @param {Object} err - The TexError
+ * @returns {{code: string, message: string, macro: string|null, offset: number}}
+ */
+function describeTexError(jax, err) {
+  const parsers = jax.parseOptions.parsers || [];
+  let outer = parsers[parsers.length - 1];
+  let start = 0;
+  let position = outer ? outer.i : 0;
+  for (let k = parsers.length - 2; k >= 0 && outer; k--) {
+    const inner = parsers[k];
+    const found = outer.string.lastIndexOf(inner.string, outer.i - inner.string.length);
+    if (found < 0) break;
+    start += found;
+    position = inner.i;
+    outer = inner;
   }
-  
-  return packages.sort(); // Sort for consistent signature
+
+  // Undefined macros, missing arguments etc. name the macro; point at its last
+  // use before the parser's position (it may have read the arguments already)
+  const macro = (err.message.match(MACRO) || [null])[0];
+  let offset = start + position;
+  if (macro) {
+    const uses = findMacro(jax.latex.slice(0, offset + 1), macro);
+    if (uses.length) offset = uses[uses.length - 1].index;
+  }
+
+  return {
+    code: err.id,
+    message: err.message,
+    macro,
+    offset: Math.max(0, Math.min(offset, jax.latex.length)),
+  };
 }
 
 /**
- * Create a signature string from package array
- * @param {string[]} packages - Array of package names
- * @returns {string} Signature string for comparison
+ * Uses of a macro in a TeX string, not counting longer macro names it starts
+ * @param {string} tex
+ * @param {string} macro - e.g. '\\foo'
+ * @returns {RegExpMatchArray[]}
  */
-function createPackageSignature(packages) {
-  return packages.length > 0 ? packages.join(',') : 'default';
+function findMacro(tex, macro) {
+  const wholeName = /[a-zA-Z]$/.test(macro) ? "(?![a-zA-Z])" : "";
+  return [...tex.matchAll(new RegExp(macro.replace(/\W/g, "\\$&") + wholeName, "g"))];
 }
 
 /**
- * Check if MathJax needs to be reset due to package changes
- * @param {string[]} requiredPackages - Array of required packages
- * @returns {boolean} True if reset is needed
+ * TeX input post-filter that records every use of an undefined macro.
+ * The noundefined package renders undefined macros as coloured mtext rather than
+ * raising an error, so they never reach formatError.
  */
-function needsMathJaxReset(requiredPackages) {
-  const newSignature = createPackageSignature(requiredPackages);
-  
-  if (currentPackageSignature !== newSignature) {
-    console.log(`Package signature changed: ${currentPackageSignature} -> ${newSignature}`);
-    return true;
+function recordUndefinedMacros({ math, data }) {
+  const color = data.options.noundefined && data.options.noundefined.color;
+  const names = new Set();
+  const nodes = [math.root];
+  while (nodes.length) {
+    const node = nodes.shift();
+    if (node.isKind("mtext") && node.attributes.get("mathcolor") === color) {
+      const text = node.getText();
+      const name = text.match(MACRO);
+      if (name && name[0] === text) names.add(text);
+    }
+    nodes.push(...(node.childNodes || []).filter(Boolean));
   }
-  
-  return false;
+  undefinedMacros = [...names]
+    .flatMap(macro => findMacro(math.math, macro).map(use => ({ macro, offset: use.index })))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Make \unicode ignore font names, for safe mode. texPolicy turns away formulas
+ * that spell out \unicode[font], but not ones that reach it through \let, \def or
+ * a macro set, so the font option is dropped here too. Only a [height,depth]
+ * size gets through to MathJax's own \unicode.
+ * @param {Object} mathJax - The MathJax instance
+ * @param {Object} jax - Its TeX input jax
+ */
+function dropUnicodeFonts(mathJax, jax) {
+  const { Macro } = mathJax._.input.tex.Token;
+  const map = jax.parseOptions.handlers.retrieve("unicode");
+  if (!map) return; // The unicode package is denied
+  const unicode = map.lookup("unicode").func;
+
+  map.add("unicode", new Macro("unicode", (parser, name) => {
+    const start = parser.i;
+    const option = parser.GetBrackets(name);
+    if (option !== undefined) {
+      // \unicode[font]{n}, or \unicode[height,depth][font]{n}
+      let [fontStart, fontEnd] = [start, parser.i];
+      if (UNICODE_SIZE.test(option)) {
+        fontStart = parser.i;
+        parser.GetBrackets(name);
+        fontEnd = parser.i;
+      }
+      parser.string = parser.string.slice(0, fontStart) + parser.string.slice(fontEnd);
+    }
+    parser.i = start;
+    return unicode(parser, name);
+  }));
+}
+
+/**
+ * The TeX error for a conversion: the error MathJax raised, else the first
+ * undefined macro
+ * @returns {{code: string, message: string, macro: string|null, offset: number}|null}
+ */
+function getTexError() {
+  if (lastTexError || !undefinedMacros.length) return lastTexError;
+  const [{ macro, offset }] = undefinedMacros;
+  return { code: "UndefinedControlSequence", message: `Undefined control sequence ${macro}`, macro, offset };
+}
+
+/**
+ * Run a TeX conversion. MathJax renders TeX errors as an merror node (and
+ * undefined macros in red); with `throwTexErrors` set they are thrown instead,
+ * as a 400 HTTP error carrying the details from getTexError in `error.tex`.
+ * @param {Function} convert - Runs the conversion
+ * @param {boolean} throwTexErrors - Throw TeX errors instead of rendering them
+ * @param {number} [prefixLength=0] - Characters the converter added before the formula
+ * @returns {Promise<*>} The conversion result
+ */
+async function convertTeX(convert, throwTexErrors, prefixLength = 0) {
+  lastTexError = null;
+  undefinedMacros = [];
+  const result = await convert();
+  const texError = getTexError();
+  if (throwTexErrors && texError) {
+    const tex = { ...texError, offset: Math.max(0, texError.offset - prefixLength) };
+    const error = createHttpError(400, "TeX error", tex.message);
+    error.tex = tex;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Run a conversion with the macros from a request's preamble defined for it
+ * alone. They go into the TeX input's map for the tex.macros option, over any
+ * set macro of the same name, and are taken out again afterwards: booting an
+ * instance per preamble would let any client keep the service reconfiguring.
+ * @param {Object} [preambleMacros] - Definitions in the tex.macros format (see texMacros)
+ * @param {Function} convert - Runs the conversion
+ * @returns {Promise<*>} The conversion result
+ */
+async function withPreambleMacros(preambleMacros, convert) {
+  const names = Object.keys(preambleMacros || {});
+  if (!names.length) return convert();
+
+  const { Macro } = MathJax._.input.tex.Token;
+  const { NewcommandMethods } = MathJax._.input.tex.newcommand;
+  const methods = NewcommandMethods.default || NewcommandMethods;
+  const jax = MathJax.startup.document.inputJax.find((input) => input.name === "TeX");
+  const map = jax.parseOptions.handlers.retrieve("configmacros-map");
+
+  const replaced = names.map((name) => [name, map.lookup(name)]);
+  for (const name of names) {
+    const definition = preambleMacros[name];
+    // As configmacros defines them: [body, args] or [body, args, default of #1]
+    const args = typeof definition === "string" ? [definition] : definition;
+    map.add(name, Array.isArray(args[2])
+      ? new Macro(name, methods.MacroWithTemplate, args.slice(0, 2).concat(args[2]))
+      : new Macro(name, methods.Macro, args));
+  }
+  try {
+    return await convert();
+  } finally {
+    replaced.forEach(([name, previous]) => (previous ? map.add(name, previous) : map.remove(name)));
+  }
+}
+
+/**
+ * Create a signature string from package array and macros
+ * @param {string[]} packages - Array of package names
+ * @param {Object} [macros] - tex.macros definitions of a named macro set (see texMacros)
+ * @returns {string} Signature string for comparison
+ */
+function createPackageSignature(packages, macros) {
+  let signature = packages.length > 0 ? packages.join(',') : 'default';
+  // Safe mode changes what an instance loads, so instances booted with it on aren't shared
+  if (config.tex.safeMode) signature += '+safe';
+  if (!macros || !Object.keys(macros).length) return signature;
+  const hash = crypto.createHash("sha256").update(JSON.stringify(macros)).digest("hex").slice(0, 12);
+  return `${signature}+macros:${hash}`;
 }
 
 /**
- * Reset and reinitialize MathJax with new package configuration
+ * Boot a new MathJax instance with the given packages and macros and keep it warm.
+ * The new instance becomes global.MathJax; previously booted instances keep
+ * working and can be switched back to with useMathJaxInstance().
  * @param {string[]} requiredPackages - Array of required packages
- * @returns {Promise} Promise that resolves when MathJax is ready
+ * @param {Object} [macros={}] - Definitions for the tex.macros option, from a named macro set
+ * @returns {Object} The new entry in mathJaxInstances; its `ready` promise resolves when MathJax is ready
  */
-async function configureMathJax(requiredPackages=[]) {
-  console.log('Configuring MathJax with packages:', requiredPackages);
+function configureMathJax(requiredPackages=[], macros={}) {
+  logger.info("Configuring MathJax", { packages: requiredPackages, macros: Object.keys(macros).length });
+  const signature = createPackageSignature(requiredPackages, macros);
+  const previousMathJax = global.MathJax;
+  reconfigurations++;
   
-  // Clear the current MathJax instance
+  // Detach the current MathJax instance (it stays alive in mathJaxInstances)
   delete global.MathJax;
   
-  // Create package list
-  const allPackages = [...new Set([...CoreV3ish, "mhchem", ...requiredPackages])];
+  // Create package list (requests for refused packages are turned away before they get here, see texPolicy)
+  const allPackages = [...new Set([...getDefaultPackages(), ...requiredPackages.filter(isPackageAllowed)])];
   
   // Reinitialize MathJax configuration
   global.MathJax = {
@@ -116,6 +297,18 @@ async function configureMathJax(requiredPackages=[]) {
         ["$$", "$$"],
         ["\\[", "\\]"],
       ],
+      // A named macro set; preambles are added per conversion (see withPreambleMacros)
+      macros,
+      // Keep the details of TeX errors for convertTeX before rendering them as usual
+      formatError: (jax, err) => {
+        lastTexError = describeTexError(jax, err);
+        return jax.formatError(err);
+      },
+      // Backs up the check in texPolicy for \require{} calls it can't see (e.g. inside macros)
+      require: {
+        allow: Object.fromEntries(BUNDLED_PACKAGES.map((name) => [name, isPackageAllowed(name)])),
+        defaultAllow: false,
+      },
     },
     svg: {
       fontCache: "local",
@@ -133,35 +326,101 @@ async function configureMathJax(requiredPackages=[]) {
   // Reload and reinitialize
   require("@mathjax/src/bundle/startup.js");
   
-  const mathJaxReady = MathJax.startup.promise
+  const mathJax = global.MathJax;
+  const safeMode = config.tex.safeMode;
+  currentPackageSignature = signature;
+
+  const ready = mathJax.startup.promise
     .then(() => {
-      console.log(`✓ MathJax initialized with packages: ${allPackages.join(', ')}`);
-      currentPackageSignature = createPackageSignature(requiredPackages);
+      mathJax.startup.document.inputJax
+        .filter((jax) => jax.name === "TeX")
+        .forEach((jax) => {
+          jax.postFilters.add(recordUndefinedMacros);
+          if (safeMode) dropUnicodeFonts(mathJax, jax);
+        });
+      logger.info("MathJax initialized", { packages: allPackages });
     })
     .catch((err) => {
-      console.error("✗ MathJax initialization error:", err.message);
+      logger.error("MathJax initialization failed", { error: err.message });
+      // Forget the broken instance and go back to the previous one
+      mathJaxInstances.delete(signature);
+      if (global.MathJax === mathJax && previousMathJax) {
+        global.MathJax = previousMathJax;
+        currentPackageSignature = 'mathjax needs loading';
+      }
       throw err;
     });
-    
 
-  return mathJaxReady;
+  const instance = {
+    mathJax,
+    ready,
+    packages: requiredPackages,
+    macros: Object.keys(macros).length,
+    created: Date.now(),
+    uses: 0,
+  };
+  mathJaxInstances.set(signature, instance);
+
+  return instance;
+}
+
+/**
+ * Make a warm MathJax instance the global one
+ * @param {string} signature - Package signature of the instance
+ * @param {Object} instance - Entry from mathJaxInstances
+ */
+function useMathJaxInstance(signature, instance) {
+  global.MathJax = instance.mathJax;
+  currentPackageSignature = signature;
 }
 
 /**
- * Ensure MathJax is ready with the correct packages
+ * Ensure MathJax is ready with the correct packages and macros
  * @param {string} tex - The TeX string (to extract required packages)
+ * @param {Object} [macros] - Definitions for the tex.macros option, from a named macro set (see texMacros)
  * @returns {Promise} Promise that resolves when MathJax is ready
  */
-async function ensureMathJaxReady(tex = '') {
+async function ensureMathJaxReady(tex = '', macros) {
   const requiredPackages = extractRequiredPackages(tex);
-  
-  // Check if we need to reset MathJax
-  if (needsMathJaxReset(requiredPackages)) {
-    return configureMathJax(requiredPackages);
+  const signature = createPackageSignature(requiredPackages, macros);
+
+  // Keep hold of the instance itself: other requests booting instances while this
+  // one waits can evict it from mathJaxInstances, but it still works
+  let instance = mathJaxInstances.get(signature);
+  if (!instance) {
+    logger.info("Package signature changed", { from: currentPackageSignature, to: signature });
+    instance = configureMathJax(requiredPackages, macros);
+  }
+
+  // Switching between warm instances costs nothing beyond swapping the global
+  await instance.ready;
+  instance.uses++;
+  if (currentPackageSignature !== signature || global.MathJax !== instance.mathJax) {
+    useMathJaxInstance(signature, instance);
   }
-  
-  // Use existing MathJax instance
-  return mathJaxReady || mathJaxReady;
+}
+
+/**
+ * Describe the warm MathJax instances (most recently used first)
+ * @returns {Object} Current signature, LRU capacity, reconfiguration count and warm set
+ */
+function getMathJaxInstances() {
+  const warm = [];
+  for (const [signature, instance] of mathJaxInstances.entries()) {
+    warm.push({
+      signature,
+      packages: instance.packages,
+      macros: instance.macros,
+      uses: instance.uses,
+      created: new Date(instance.created).toISOString(),
+    });
+  }
+  return {
+    current: currentPackageSignature,
+    max: mathJaxInstances.max,
+    reconfigurations,
+    warm,
+  };
 }
 
 /**
@@ -203,6 +462,16 @@ const cleanAndScaleSvg = (svgNode, scale = 1) => {
       adaptor.setAttribute(svgNode, "width", `${width * scale}ex`);
       adaptor.setAttribute(svgNode, "height", `${height * scale}ex`);
     }
+    // Keep the baseline offset in proportion, or scaled inline images sit too high
+    const style = adaptor.getAttribute(svgNode, "style") || "";
+    const verticalAlign = style.match(/vertical-align:\s*(-?[\d.]+)ex/);
+    if (verticalAlign) {
+      adaptor.setAttribute(
+        svgNode,
+        "style",
+        style.replace(verticalAlign[0], `vertical-align: ${parseFloat(verticalAlign[1]) * scale}ex`)
+      );
+    }
     // Do NOT add any transform to the inner <g>.
   }
 
@@ -210,14 +479,71 @@ const cleanAndScaleSvg = (svgNode, scale = 1) => {
 };
 
 /**
- * Apply color to SVG by modifying the style attribute.
- * Validates and normalizes hex color values, expanding 3-digit hex to 6-digit format.
- * Updates existing style attribute or adds new one if none exists.
- * @param {string} svgString - The SVG string to colorize
+ * Read the size and baseline offset MathJax put on a standalone SVG.
+ * MathJax sets width and height in ex and shifts the image below the text
+ * baseline with a negative `vertical-align`; the depth is that shift as a
+ * positive distance.
+ * @param {string} svgString - Standalone SVG markup from one of the svgFrom* converters
+ * @returns {{width: number, height: number, depth: number}} Dimensions in ex
+ */
+function getSvgMetrics(svgString) {
+  const svgTag = (svgString.match(/<svg[^>]*>/) || [""])[0];
+  const exAttribute = (name) => {
+    const match = svgTag.match(new RegExp(`\\s${name}="(-?[\\d.]+)ex"`));
+    return match ? parseFloat(match[1]) : 0;
+  };
+  const verticalAlign = svgTag.match(/vertical-align:\s*(-?[\d.]+)ex/);
+
+  return {
+    width: exAttribute("width"),
+    height: exAttribute("height"),
+    depth: verticalAlign ? -parseFloat(verticalAlign[1]) : 0,
+  };
+}
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Give a standalone SVG an accessible name: `<title>` and `<desc>` as the first
+ * children, `role="img"` and ARIA references to both on the root element.
+ * The ids are derived from the text so several inlined SVGs can share a page.
+ * @param {string} svgString - Standalone SVG markup
+ * @param {Object} text - Accessible text
+ * @param {string} text.title - Short name, normally the speech text
+ * @param {string} [text.description] - Longer description, e.g. the source formula
+ * @returns {string} SVG markup with the accessibility markup added
+ */
+function addSvgAccessibility(svgString, { title, description }) {
+  const id = `mjx-a11y-${crypto
+    .createHash("sha1")
+    .update(`${title}\n${description || ""}`)
+    .digest("hex")
+    .slice(0, 8)}`;
+  const attributes = [`role="img"`, `aria-labelledby="${id}-title"`];
+  let children = `<title id="${id}-title">${escapeXml(title)}</title>`;
+  if (description) {
+    attributes.push(`aria-describedby="${id}-desc"`);
+    children += `<desc id="${id}-desc">${escapeXml(description)}</desc>`;
+  }
+
+  return svgString.replace(
+    /<svg([^>]*)>/,
+    (match, svgAttributes) => `<svg${svgAttributes} ${attributes.join(" ")}>${children}`
+  );
+}
+
+/**
+ * Normalize a foreground color parameter to 6 lowercase hex digits.
+ * Invalid or missing colors become black.
  * @param {string} color - Hex color value (3 or 6 digits, without # prefix)
- * @returns {string} SVG string with color applied via style attribute
+ * @returns {string} Hex color, e.g. 'aabbcc'
  */
-function applySvgColor(svgString, color) {
+function normalizeHexColor(color) {
   // Validate hex color (3 or 6 hex digits)
   const isValidHex = /^([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(color);
 
@@ -230,6 +556,19 @@ function applySvgColor(svgString, color) {
       .map((ch) => ch + ch)
       .join("");
   }
+  return hexColor;
+}
+
+/**
+ * Apply color to SVG by modifying the style attribute.
+ * Validates and normalizes hex color values, expanding 3-digit hex to 6-digit format.
+ * Updates existing style attribute or adds new one if none exists.
+ * @param {string} svgString - The SVG string to colorize
+ * @param {string} color - Hex color value (3 or 6 digits, without # prefix)
+ * @returns {string} SVG string with color applied via style attribute
+ */
+function applySvgColor(svgString, color) {
+  const hexColor = normalizeHexColor(color);
 
   const colorStyle = `color: #${hexColor};`;
 
@@ -306,7 +645,7 @@ function updateStyleProperty(styleString, property, value) {
  * Adds styling for mathematical elements, removes accessibility attributes, and applies foreground color.
  * Based on: https://docs.mathjax.org/en/latest/web/convert.html#creating-stand-alone-svg-images
  * @param {string} svg - The SVG markup to make standalone
- * @param {string} fgColor - Hex color value (6 digits, without # prefix) for foreground elements
+ * @param {string} fgColor - Hex color value (3 or 6 digits, without # prefix) for foreground elements
  * @returns {string} Complete standalone SVG with XML declaration and embedded styles
  */
 const makeSvgStandAlone = (svg, fgColor) => {
@@ -329,47 +668,87 @@ const makeSvgStandAlone = (svg, fgColor) => {
     : svg.replace(/^(<svg.*?>)/, `$1<defs><style>${svgCss}</style></defs>`);
   svg = svg
     .replace(/ (?:role|focusable|aria-hidden)=".*?"/g, "")
-    .replace(/"currentColor"/g, `"#${fgColor}"`);
+    .replace(/"currentColor"/g, `"#${normalizeHexColor(fgColor)}"`);
 
   return xmlDeclaration + "\n" + svg;
 };
 
+/**
+ * Build the MathJax conversion options used for MathML output.
+ * Only the display setting affects the generated MathML.
+ * @param {Object} options - MathML output options
+ * @returns {Object} MathJax conversion options
+ */
+const mmlConversionOptions = (options) =>
+  options.display === undefined ? {} : { display: options.display };
+
 /**
  * Converts TeX mathematical notation to clean MathML markup.
  * Automatically handles package requirements and MathJax reinitialization.
  * @param {string} tex - The TeX mathematical expression to convert
+ * @param {Object} [options={}] - MathML output options
+ * @param {boolean} [options.display] - Whether to render in display mode
+ * @param {boolean} [options.semantics] - Keep data-latex, aria-* and role attributes instead of scrubbing them
+ * @param {boolean} [options.throwTexErrors] - Throw TeX errors instead of returning them as merror (see convertTeX)
+ * @param {Object} [options.macros] - Macro set definitions from texMacros.getMacroDefinitions
+ * @param {Object} [options.preambleMacros] - Preamble definitions from texMacros.getMacroDefinitions
  * @returns {Promise<string>} Promise that resolves to clean MathML markup
  * @throws {Error} If MathJax fails to convert the TeX expression
  */
-const mmlFromTeX = async (tex) => {
-  await ensureMathJaxReady(tex);
-  const mml = await MathJax.tex2mmlPromise(tex);
-  return scrub(mml);
+const mmlFromTeX = async (tex, options = {}) => {
+  await ensureMathJaxReady(tex, options.macros);
+  const mml = await convertTeX(() => withPreambleMacros(options.preambleMacros,
+    () => MathJax.tex2mmlPromise(tex, mmlConversionOptions(options))), options.throwTexErrors);
+  return options.semantics ? mml : scrub(mml);
+};
+
+/**
+ * Parse TeX without rendering it, with the same package handling as the
+ * converters, and report what went wrong (for /validate).
+ * MathJax stops at the first TeX error, so there is at most one `error`;
+ * undefined macros don't stop it, so `undefinedMacros` lists every use.
+ * @param {string} tex - The TeX mathematical expression to check
+ * @param {{macros?: Object, preambleMacros?: Object}} [definitions={}] - Macro definitions
+ *   from texMacros.getMacroDefinitions
+ * @returns {Promise<{error: Object|null, undefinedMacros: {macro: string, offset: number}[]}>}
+ *   `error` as from describeTexError
+ */
+const validateTeX = async (tex, { macros, preambleMacros } = {}) => {
+  await ensureMathJaxReady(tex, macros);
+  await convertTeX(() => withPreambleMacros(preambleMacros,
+    () => MathJax.tex2mmlPromise(tex, { display: true })), false);
+  return { error: lastTexError, undefinedMacros };
 };
 
 /**
  * Converts AsciiMath notation to clean MathML markup.
  * @param {string} asciimath - The AsciiMath expression to convert
+ * @param {Object} [options={}] - MathML output options
+ * @param {boolean} [options.display] - Whether to render in display mode
+ * @param {boolean} [options.semantics] - Keep semantic attributes instead of scrubbing them
  * @returns {Promise<string>} Promise that resolves to clean MathML markup
  * @throws {Error} If MathJax fails to convert the AsciiMath expression
  */
-const mmlFromAM = async (asciimath) => {
+const mmlFromAM = async (asciimath, options = {}) => {
   await mathJaxReady;
-  const mml = await MathJax.asciimath2mmlPromise(asciimath);
-  return scrub(mml);
+  const mml = await MathJax.asciimath2mmlPromise(asciimath, mmlConversionOptions(options));
+  return options.semantics ? mml : scrub(mml);
 };
 
 /**
  * Processes existing MathML markup to clean MathML format.
  * Useful for normalizing or cleaning existing MathML content.
  * @param {string} mathml - The MathML markup to process
+ * @param {Object} [options={}] - MathML output options
+ * @param {boolean} [options.display] - Whether to render in display mode
+ * @param {boolean} [options.semantics] - Keep semantic attributes instead of scrubbing them
  * @returns {Promise<string>} Promise that resolves to clean MathML markup
  * @throws {Error} If MathJax fails to process the MathML
  */
-const mmlFromMathML = async (mathml) => {
+const mmlFromMathML = async (mathml, options = {}) => {
   await mathJaxReady;
-  const mml = await MathJax.mathml2mmlPromise(mathml);
-  return scrub(mml);
+  const mml = await MathJax.mathml2mmlPromise(mathml, mmlConversionOptions(options));
+  return options.semantics ? mml : scrub(mml);
 };
 
 /**
@@ -377,6 +756,9 @@ const mmlFromMathML = async (mathml) => {
  * Automatically handles package requirements and MathJax reinitialization.
  * @param {string} tex - The TeX mathematical expression to convert
  * @param {Object} [options={}] - Optional configuration object for MathJax rendering
+ * @param {boolean} [options.throwTexErrors] - Throw TeX errors instead of rendering them (see convertTeX)
+ * @param {Object} [options.macros] - Macro set definitions from texMacros.getMacroDefinitions
+ * @param {Object} [options.preambleMacros] - Preamble definitions from texMacros.getMacroDefinitions
  * @param {string} fgColor - Hex color value for foreground
  * @returns {Promise<string>} Promise that resolves to standalone SVG markup
  * @throws {Error} If MathJax fails to convert the TeX expression
@@ -386,15 +768,21 @@ const svgFromTeX = async (tex, options = {}, fgColor) => {
   if ("scale" in options) {
     delete options.scale;
   }
+  const { throwTexErrors, macros, preambleMacros } = options;
+  delete options.throwTexErrors;
+  delete options.macros;
+  delete options.preambleMacros;
   // MathJax tex2svgPromise returns multiple SVGs for inline math if not in display mode
   // so we force display mode here and prefix with \textstyle to get inline sizing and layout
+  const prefix = options.display ? "" : "\\textstyle ";
   if(!options.display){
-    tex = `\\textstyle ${tex}`;
+    tex = `${prefix}${tex}`;
     options.display = true;
   }
 
-  await ensureMathJaxReady(tex);
-  const svgNode = await MathJax.tex2svgPromise(tex, options);
+  await ensureMathJaxReady(tex, macros);
+  const svgNode = await convertTeX(() => withPreambleMacros(preambleMacros,
+    () => MathJax.tex2svgPromise(tex, options)), throwTexErrors, prefix.length);
   return applySvgColor(
     makeSvgStandAlone(cleanAndScaleSvg(svgNode, scale), fgColor),
     fgColor
@@ -560,11 +948,13 @@ const getMathJaxInfo = () => {
   return { version, packages, versions };
 };
 
-configureMathJax(); // initial load
+mathJaxReady = configureMathJax().ready; // initial load
 
 module.exports = {
   mathJaxReady,
   ensureMathJaxReady,
+  getMathJaxInstances,
+  getDefaultPackages,
   buildMathConversionOptions,
   mmlFromTeX,
   mmlFromAM,
@@ -572,5 +962,9 @@ module.exports = {
   svgFromTeX,
   svgFromAM,
   svgFromMathML,
+  validateTeX,
   getMathJaxInfo,
+  getSvgMetrics,
+  addSvgAccessibility,
+  normalizeHexColor,
 };
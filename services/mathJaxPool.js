@@ -0,0 +1,309 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config');
+const converters = require('./mathJaxConverters');
+const { getMathJaxInstances } = converters;
+const { runExclusive, mathJaxLock } = require('../utils/locks');
+const { createHttpError } = require('../utils/sendErrorHandler');
+const { checkTeX } = require('./texPolicy');
+const { checkInputLimits } = require('./inputLimits');
+const metrics = require('../utils/metrics');
+const { logger, getRequestId } = require('../utils/logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'mathJaxWorker.js');
+
+// Input type of each converter's first argument
+const INPUT_TYPES = {
+  svgFromTeX: 'latex',
+  mmlFromTeX: 'latex',
+  validateTeX: 'latex',
+  svgFromAM: 'asciimath',
+  mmlFromAM: 'asciimath',
+  svgFromMathML: 'mathml',
+  mmlFromMathML: 'mathml',
+};
+
+// Converters that report refused packages and macros as problems (see texValidator)
+// rather than being turned away for them
+const SKIP_TEX_POLICY = ['validateTeX'];
+
+// Delay before restarting a worker that failed to start, doubled for each failure in a row
+const RESPAWN_DELAY_MS = 500;
+const MAX_RESPAWN_DELAY_MS = 30000;
+
+/**
+ * A pool of worker threads, each with its own MathJax instance.
+ * Tasks are queued and handed to the first idle worker. A task's timeout starts
+ * when it is queued; one that runs out while on a worker terminates the worker,
+ * which is replaced by a fresh one. Workers that fail to start are restarted
+ * with a backoff, and while no worker is running, tasks fail instead of waiting.
+ */
+class MathJaxPool {
+  /**
+   * @param {number} size - Number of worker threads
+   * @param {number} timeoutMs - Per-task timeout in milliseconds, including the time spent queued
+   * @param {string} [script] - Worker entry point
+   */
+  constructor(size, timeoutMs, script = WORKER_SCRIPT) {
+    this.size = size;
+    this.timeoutMs = timeoutMs;
+    this.script = script;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.restarts = 0;
+    this.startupFailures = 0; // in a row, reset when a worker starts
+    this.respawns = new Set(); // timers of pending restarts
+
+    for (let i = 0; i < size; i++) {
+      this.spawn();
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script);
+    worker.task = null;
+    worker.ready = false;
+    worker.instances = null; // warm MathJax instances, as last reported by the worker
+
+    worker.on('message', (message) => {
+      if (message.ready) {
+        worker.ready = true;
+        this.startupFailures = 0;
+        this.release(worker);
+        return;
+      }
+      const task = worker.task;
+      if (!task || task.id !== message.id) return;
+      worker.instances = message.instances;
+      this.finish(worker);
+      if (message.error) {
+        const { statusCode, message: errorMessage, detail, tex } = message.error;
+        const error = statusCode ? createHttpError(statusCode, errorMessage, detail) : new Error(errorMessage);
+        if (tex) error.tex = tex;
+        task.reject(error);
+      } else {
+        task.resolve(message.result);
+      }
+      this.release(worker);
+    });
+
+    worker.on('error', (error) => {
+      logger.error('MathJax worker error', { error: error.message });
+      this.replace(worker, error);
+    });
+
+    worker.on('exit', (code) => {
+      if (this.workers.has(worker)) {
+        this.replace(worker, new Error(`MathJax worker exited with code ${code}`));
+      }
+    });
+
+    // Don't keep the process alive just for idle workers (must come after adding listeners)
+    worker.unref();
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Remove a dead or stuck worker, fail its task and start a replacement
+   */
+  replace(worker, error) {
+    if (!this.workers.has(worker)) return;
+    this.workers.delete(worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    const task = worker.task;
+    this.finish(worker);
+    if (task) task.reject(error);
+
+    worker.terminate();
+    if (worker.ready) {
+      this.restarts++;
+      this.spawn();
+    } else {
+      this.startupFailed(error);
+    }
+  }
+
+  /**
+   * Restart a worker that died before it was ready, after a backoff since it
+   * would most likely fail again straight away. Once no worker is left running,
+   * the queued tasks fail rather than wait for one that may never start.
+   */
+  startupFailed(error) {
+    this.startupFailures++;
+    const delay = Math.min(RESPAWN_DELAY_MS * 2 ** (this.startupFailures - 1), MAX_RESPAWN_DELAY_MS);
+    logger.error('MathJax worker failed to start', { error: error.message, failures: this.startupFailures, retryInMs: delay });
+
+    if (this.workers.size === 0) {
+      this.failQueue(this.unavailableError());
+    }
+
+    const timer = setTimeout(() => {
+      this.respawns.delete(timer);
+      this.spawn();
+    }, delay);
+    timer.unref();
+    this.respawns.add(timer);
+  }
+
+  unavailableError() {
+    return createHttpError(503, 'MathJax unavailable', 'No MathJax worker could be started.');
+  }
+
+  failQueue(error) {
+    const tasks = this.queue;
+    this.queue = [];
+    tasks.forEach((task) => {
+      clearTimeout(task.timer);
+      task.reject(error);
+    });
+  }
+
+  /**
+   * A task ran out of time, either still queued or on a worker, which is then
+   * stuck and gets replaced
+   */
+  expire(task) {
+    metrics.timeouts.inc({ operation: task.method });
+    const error = createHttpError(504, `${task.method} request timed out`, 'The server took too long to process the request.');
+    if (task.worker) {
+      logger.error('MathJax worker timed out, recycling it', { method: task.method, requestId: task.requestId });
+      this.replace(task.worker, error);
+    } else {
+      logger.error('MathJax task timed out waiting for a worker', { method: task.method, requestId: task.requestId });
+      this.queue = this.queue.filter(t => t !== task);
+      task.reject(error);
+    }
+  }
+
+  finish(worker) {
+    if (worker.task) clearTimeout(worker.task.timer);
+    worker.task = null;
+  }
+
+  release(worker) {
+    const task = this.queue.shift();
+    if (task) {
+      this.dispatch(worker, task);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  dispatch(worker, task) {
+    worker.task = task;
+    task.worker = worker;
+    worker.postMessage({ id: task.id, method: task.method, args: task.args, requestId: task.requestId });
+  }
+
+  /**
+   * Run a mathJaxConverters method on the next idle worker
+   * @param {string} method - Converter name, e.g. 'svgFromTeX'
+   * @param {Array} args - Arguments for the converter (must be cloneable)
+   * @returns {Promise<*>} The converter's result
+   * @throws {Error} 504 HTTP error when the task times out, 503 when no worker is running
+   */
+  run(method, args) {
+    return new Promise((resolve, reject) => {
+      if (this.workers.size === 0) {
+        reject(this.unavailableError());
+        return;
+      }
+      const task = { id: this.nextId++, method, args, requestId: getRequestId(), resolve, reject, worker: null };
+      task.timer = setTimeout(() => this.expire(task), this.timeoutMs);
+      const worker = this.idle.shift();
+      if (worker) {
+        this.dispatch(worker, task);
+      } else {
+        this.queue.push(task);
+      }
+    });
+  }
+
+  getStats() {
+    const workers = [...this.workers];
+    return {
+      mode: 'workers',
+      size: this.size,
+      ready: workers.filter(w => w.ready).length,
+      busy: workers.filter(w => w.task).length,
+      queued: this.queue.length,
+      restarts: this.restarts,
+      startupFailures: this.startupFailures,
+      instances: workers.map(w => w.instances),
+    };
+  }
+
+  async destroy() {
+    this.respawns.forEach(clearTimeout);
+    this.respawns.clear();
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+}
+
+const pool = config.mathJax.workers > 0
+  ? new MathJaxPool(config.mathJax.workers, config.mathJax.timeout)
+  : null;
+
+/**
+ * Run a MathJax conversion, either on the worker pool or, when no workers are
+ * configured, in-process behind the global MathJax lock.
+ * @param {string} method - mathJaxConverters method name, e.g. 'svgFromTeX'
+ * @param {Array} args - Arguments for the converter
+ * @returns {Promise<*>} The converter's result
+ * @throws {Error} HTTP error, without queueing, for input over the limits (413/422)
+ *   or TeX the package policy refuses (400)
+ */
+const runMathJax = async (method, args) => {
+  const inputType = INPUT_TYPES[method];
+  if (!inputType) {
+    throw new Error(`Unknown MathJax method: ${method}`);
+  }
+  checkInputLimits(inputType, args[0]);
+  if (inputType === 'latex' && !SKIP_TEX_POLICY.includes(method)) checkTeX(args[0]);
+
+  const start = Date.now();
+  try {
+    if (pool) {
+      return await pool.run(method, args);
+    }
+    return await runExclusive(mathJaxLock, () => converters[method](...args), method, config.mathJax.timeout);
+  } finally {
+    // Includes the time spent queued for a worker or the lock
+    logger.debug('MathJax conversion', { method, durationMs: Date.now() - start });
+  }
+};
+
+/**
+ * Describe the conversion pool and its warm MathJax instances for /health
+ */
+const getPoolStats = () => {
+  if (pool) return pool.getStats();
+  const { locked, queue } = mathJaxLock;
+  // Same shape as the pool stats: one warm set per thread running MathJax
+  return { mode: 'in-process', busy: locked ? 1 : 0, queued: queue.length, instances: [getMathJaxInstances()] };
+};
+
+metrics.gauge('mathjax_busy', 'MathJax conversions running (workers busy, or the in-process lock held)', {
+  collect: (gauge) => gauge.set({}, getPoolStats().busy),
+});
+metrics.gauge('mathjax_queue_depth', 'MathJax conversions waiting for a worker or the in-process lock', {
+  collect: (gauge) => gauge.set({}, getPoolStats().queued),
+});
+metrics.counter('mathjax_reconfigurations_total', 'MathJax reconfigurations for a new package set, summed over all threads running MathJax', {
+  // Each worker reports its own count (null until its first conversion)
+  collect: (counter) => counter.set({}, getPoolStats().instances
+    .reduce((total, instances) => total + (instances ? instances.reconfigurations : 0), 0)),
+});
+
+module.exports = {
+  MathJaxPool,
+  runMathJax,
+  getPoolStats,
+};
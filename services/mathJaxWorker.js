@@ -0,0 +1,32 @@
+// Worker thread entry point for services/mathJaxPool.js.
+// Each worker loads its own MathJax instance and runs one conversion at a time.
+const { parentPort } = require('worker_threads');
+const converters = require('./mathJaxConverters');
+const { logger, runWithRequestId } = require('../utils/logger');
+
+const METHODS = ['svgFromTeX', 'svgFromAM', 'svgFromMathML', 'mmlFromTeX', 'mmlFromAM', 'mmlFromMathML', 'validateTeX'];
+
+parentPort.on('message', async ({ id, method, args, requestId }) => {
+  try {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown MathJax method: ${method}`);
+    }
+    // Log under the ID of the request that queued the conversion
+    const result = await runWithRequestId(requestId, () => converters[method](...args));
+    parentPort.postMessage({ id, result, instances: converters.getMathJaxInstances() });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, statusCode: error.statusCode, detail: error.detail, tex: error.tex },
+      instances: converters.getMathJaxInstances(),
+    });
+  }
+});
+
+// Tell the pool we can take work once the initial MathJax startup has finished
+global.MathJax.startup.promise
+  .then(() => parentPort.postMessage({ ready: true }))
+  .catch((error) => {
+    logger.error('MathJax worker failed to start', { error: error.message });
+    process.exit(1);
+  });
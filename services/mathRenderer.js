@@ -0,0 +1,285 @@
+const { buildMathConversionOptions, getSvgMetrics, addSvgAccessibility } = require('./mathJaxConverters');
+const { runMathJax } = require('./mathJaxPool');
+const { buildPngFromSvgConversionOptions, pngFromSvg, getPngSize, addPngTextChunks } = require('./imageConverter');
+const {
+  speechTextFromTeX,
+  speechTextFromAM,
+  speechTextFromMathML,
+  generateSpeechText,
+  getSpeechOptionsFromQuery,
+  validateSpeechOptions,
+} = require('./speechGenerators');
+const { getMacroDefinitions } = require('./texMacros');
+const { toBool } = require('../utils');
+const { runExclusive, imageConverterLock } = require('../utils/locks');
+const { createHttpError, getErrorFormat } = require('../utils/sendErrorHandler');
+
+// Input types, keyed by the query parameter (and route) that carries the formula.
+// svg/mml name the mathJaxConverters methods run through the MathJax pool.
+const converters = {
+  latex: { svg: 'svgFromTeX', mml: 'mmlFromTeX', speech: speechTextFromTeX },
+  asciimath: { svg: 'svgFromAM', mml: 'mmlFromAM', speech: speechTextFromAM },
+  mathml: { svg: 'svgFromMathML', mml: 'mmlFromMathML', speech: speechTextFromMathML },
+};
+
+const INPUT_TYPES = Object.keys(converters);
+const RENDER_FORMATS = ['png', 'svg', 'mathml', 'speech', 'metadata', 'json'];
+const BUNDLE_IMAGE_FORMATS = ['svg', 'png'];
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  mathml: 'application/mathml+xml; charset=utf-8',
+  speech: 'text/plain; charset=utf-8',
+  metadata: 'application/json; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const INPUT_NAMES = { latex: 'LaTeX', asciimath: 'AsciiMath', mathml: 'MathML' };
+
+const round = (value, places = 3) => Number(value.toFixed(places));
+
+/**
+ * Whether TeX errors should be thrown (errors=json) rather than rendered as merror
+ */
+const throwTexErrors = (query) => getErrorFormat(query) === 'json';
+
+const getConverters = (inputType) => {
+  const found = converters[inputType];
+  if (!found) {
+    throw createHttpError(400, 'Invalid input type', `Input type must be one of: ${INPUT_TYPES.join(', ')}`);
+  }
+  return found;
+};
+
+/**
+ * Render a formula to a standalone SVG string
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @param {Object} [query={}] - Conversion options as query parameters (display, scale, fg, errors, macros, ...)
+ * @returns {Promise<string>} SVG markup
+ */
+const renderSvg = async (inputType, formula, query = {}) => {
+  const { svg } = getConverters(inputType);
+  const mathConversionOptions = buildMathConversionOptions(query);
+  mathConversionOptions.throwTexErrors = throwTexErrors(query);
+  if (inputType === 'latex') Object.assign(mathConversionOptions, getMacroDefinitions(query));
+  return runMathJax(svg, [formula, mathConversionOptions, query.fg]);
+};
+
+/**
+ * Convert an SVG string to a PNG buffer
+ * @param {string} svg - SVG markup
+ * @param {Object} [query={}] - PNG options as query parameters (dpi, width, ...)
+ * @returns {Promise<Buffer>} PNG image
+ */
+const renderPng = async (svg, query = {}) => {
+  const pngConversionOptions = buildPngFromSvgConversionOptions(query);
+  return runExclusive(imageConverterLock, () => pngFromSvg(svg, pngConversionOptions), 'pngFromSvg');
+};
+
+/**
+ * Work out the size and baseline offset of a rendered image, in ex and pixels.
+ * Pixel values use `pxPerEx`: the size the SVG was laid out for (the `ex`
+ * option), or for a PNG the scale resvg actually rasterized it at.
+ * @param {string} svg - SVG markup
+ * @param {number} pxPerEx - Pixels per ex
+ * @returns {{width: number, height: number, depth: number, verticalAlign: string,
+ *   px: {width: number, height: number, depth: number}}}
+ */
+const buildImageMetrics = (svg, pxPerEx) => {
+  const { width, height, depth } = getSvgMetrics(svg);
+  return {
+    width: round(width),
+    height: round(height),
+    depth: round(depth),
+    verticalAlign: `${round(-depth)}ex`,
+    px: {
+      width: round(width * (pxPerEx || 0), 2),
+      height: round(height * (pxPerEx || 0), 2),
+      depth: round(depth * (pxPerEx || 0), 2),
+    },
+  };
+};
+
+/**
+ * Metrics for a PNG rendered from `svg`, with pixel sizes taken from the PNG itself
+ */
+const buildPngMetrics = (svg, png) => {
+  const size = getPngSize(png);
+  const { height } = getSvgMetrics(svg);
+  const metrics = buildImageMetrics(svg, height ? size.height / height : 0);
+  metrics.px.width = size.width;
+  metrics.px.height = size.height;
+  return metrics;
+};
+
+/**
+ * Render a formula to MathML
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @param {Object} [query={}] - Options as query parameters (display, semantics, errors, macros, preamble)
+ * @returns {Promise<string>} MathML markup
+ */
+const renderMathML = async (inputType, formula, query = {}) => {
+  const { mml } = getConverters(inputType);
+  const { display } = buildMathConversionOptions(query);
+  const options = { display, semantics: toBool(query.semantics), throwTexErrors: throwTexErrors(query) };
+  if (inputType === 'latex') Object.assign(options, getMacroDefinitions(query));
+  return runMathJax(mml, [formula, options]);
+};
+
+/**
+ * Read the speech options from the query, rejecting invalid combinations with a 400
+ */
+const getValidSpeechOptions = (query) => {
+  const options = getSpeechOptionsFromQuery(query);
+  const validation = validateSpeechOptions(options.engine, options.style, options.verbosity);
+  if (!validation.valid) {
+    throw createHttpError(400, 'Invalid speech options', validation.error);
+  }
+  return options;
+};
+
+/**
+ * Render a formula to speech text
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @param {Object} [query={}] - Speech options as query parameters (engine, style, verbosity, lang)
+ * @returns {Promise<string>} Speech text
+ */
+const renderSpeech = async (inputType, formula, query = {}) => {
+  const { speech } = getConverters(inputType);
+  getValidSpeechOptions(query);
+  return (await speech(formula, query)) || '';
+};
+
+/**
+ * Generate the speech text for a formula from its plain MathML
+ */
+const speechForFormula = async (inputType, formula, query, speechOptions = getValidSpeechOptions(query)) => {
+  const mathml = await renderMathML(inputType, formula, { ...query, semantics: false });
+  return (await generateSpeechText(mathml, speechOptions)) || '';
+};
+
+/**
+ * Accessible text for an image: the speech text as its name, the source formula as its description
+ */
+const buildAccessibleText = (inputType, formula, speech) => ({
+  title: speech || formula,
+  description: `${INPUT_NAMES[inputType]}: ${formula}`,
+});
+
+/**
+ * Embed accessible text in a rendered image (see buildAccessibleText)
+ * @param {string} format - 'svg' or 'png'
+ * @param {string|Buffer} image - The rendered image
+ * @param {{title: string, description: string}} text - Accessible text
+ * @returns {string|Buffer} SVG with <title>/<desc> and ARIA labels, or PNG with iTXt chunks
+ */
+const addAccessibleText = (format, image, text) => {
+  if (format === 'png') {
+    return addPngTextChunks(image, { Title: text.title, Description: text.description });
+  }
+  return addSvgAccessibility(image, text);
+};
+
+/**
+ * Render the image, MathML and speech text for a formula in one go.
+ * The speech is generated from the same MathML that is returned, so the alt
+ * text always describes the picture.
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @param {Object} [query={}] - Image, MathML and speech options as query parameters;
+ *   `image` picks `svg` or `png` (default: the `svg` flag, else png)
+ * @returns {Promise<Object>} { svg | pngBase64, width, height, depth, verticalAlign, px, speech, mathml }
+ */
+const renderBundle = async (inputType, formula, query = {}) => {
+  const image = query.image ? String(query.image).toLowerCase() : (toBool(query.svg) ? 'svg' : 'png');
+  if (!BUNDLE_IMAGE_FORMATS.includes(image)) {
+    throw createHttpError(400, 'Invalid image format', `image must be one of: ${BUNDLE_IMAGE_FORMATS.join(', ')}`);
+  }
+  const speechOptions = getValidSpeechOptions(query);
+
+  const mathml = await renderMathML(inputType, formula, query);
+  // Speech engines expect plain MathML, without the semantics attributes
+  const speech = toBool(query.semantics)
+    ? await speechForFormula(inputType, formula, query, speechOptions)
+    : (await generateSpeechText(mathml, speechOptions)) || '';
+  const accessibleText = toBool(query.a11y) && buildAccessibleText(inputType, formula, speech);
+
+  const svg = await renderSvg(inputType, formula, query);
+  const bundle = {};
+  if (image === 'png') {
+    let png = await renderPng(svg, query);
+    if (accessibleText) png = addAccessibleText('png', png, accessibleText);
+    bundle.pngBase64 = png.toString('base64');
+    Object.assign(bundle, buildPngMetrics(svg, png));
+  } else {
+    bundle.svg = accessibleText ? addAccessibleText('svg', svg, accessibleText) : svg;
+    Object.assign(bundle, buildImageMetrics(svg, buildMathConversionOptions(query).ex));
+  }
+
+  bundle.mathml = mathml;
+  bundle.speech = speech;
+  return bundle;
+};
+
+/**
+ * Render a formula in the requested output format
+ * @param {string} inputType - 'latex', 'asciimath' or 'mathml'
+ * @param {string} formula - The decoded formula
+ * @param {string} format - One of RENDER_FORMATS
+ * @param {Object} [query={}] - Conversion options as query parameters
+ * @returns {Promise<{contentType: string, body: string|Buffer, metrics?: Object}>}
+ *   Images (and metadata) also carry their metrics (see buildImageMetrics)
+ */
+const renderFormula = async (inputType, formula, format, query = {}) => {
+  let body;
+  let metrics;
+  let svg;
+  switch (format) {
+    case 'mathml':
+      body = await renderMathML(inputType, formula, query);
+      break;
+    case 'speech':
+      body = await renderSpeech(inputType, formula, query);
+      break;
+    case 'svg':
+      body = await renderSvg(inputType, formula, query);
+      metrics = buildImageMetrics(body, buildMathConversionOptions(query).ex);
+      break;
+    case 'png':
+      svg = await renderSvg(inputType, formula, query);
+      body = await renderPng(svg, query);
+      metrics = buildPngMetrics(svg, body);
+      break;
+    case 'json':
+      body = JSON.stringify(await renderBundle(inputType, formula, query));
+      break;
+    case 'metadata':
+      svg = await renderSvg(inputType, formula, query);
+      metrics = buildImageMetrics(svg, buildMathConversionOptions(query).ex);
+      body = JSON.stringify(metrics);
+      break;
+    default:
+      throw createHttpError(400, 'Invalid output format', `Format must be one of: ${RENDER_FORMATS.join(', ')}`);
+  }
+
+  if (toBool(query.a11y) && (format === 'svg' || format === 'png')) {
+    const speech = await speechForFormula(inputType, formula, query);
+    body = addAccessibleText(format, body, buildAccessibleText(inputType, formula, speech));
+  }
+  return { contentType: CONTENT_TYPES[format], body, metrics };
+};
+
+module.exports = {
+  INPUT_TYPES,
+  RENDER_FORMATS,
+  renderFormula,
+  renderSvg,
+  renderPng,
+  renderMathML,
+  renderSpeech,
+  renderBundle,
+};
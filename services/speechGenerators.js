@@ -1,25 +1,49 @@
 const path = require('path');
 const config = require('../config');
-const { initMathcat, getSpeechTextFromMathcat, setMathcatPreference, getMathcatVersion } = require('../lib/mathcat-wrapper');
 const SRE = require('speech-rule-engine');
-const { mmlFromAM, mmlFromMathML, mmlFromTeX } = require('./mathJaxConverters');  
-const { withTimeout, mathJaxLock, mathCATLock, SRELock } = require('../utils/locks');
+const { runMathJax } = require('./mathJaxPool');
+const { getMacroDefinitions } = require('./texMacros');
+const { runExclusive, mathCATLock, SRELock } = require('../utils/locks');
+const { logger } = require('../utils/logger');
+const { createHttpError, getErrorFormat } = require('../utils/sendErrorHandler');
+
+// The MathCAT binding is prebuilt per platform (see lib/mathcat-wrapper). Where
+// there is none, the mathcat engine answers 503 and SRE still works.
+let mathcat = null;
+try {
+  mathcat = require('../lib/mathcat-wrapper');
+} catch (error) {
+  logger.warn('MathCAT is not available on this platform', { platform: `${process.platform}-${process.arch}`, error: error.message });
+}
 
 // Initialize MathCAT once
 let mathcatInitialized = false;
 
 let currentMathcatOptions = {};
 
+/**
+ * Whether the MathCAT binding loaded on this platform
+ */
+const isMathCATAvailable = () => mathcat !== null;
+
+/**
+ * The engine for requests that don't name one: MathCAT where it is available
+ */
+const getDefaultEngine = () => (mathcat ? 'mathcat' : 'sre');
+
 function ensureMathCATInitialized() {
+  if (!mathcat) {
+    throw createHttpError(503, 'MathCAT unavailable', 'MathCAT is not built for this platform; use engine=sre.');
+  }
   if (!mathcatInitialized) {
     const rulesPath = path.join(__dirname, '..', '/lib/mathcat-wrapper/Rules');
-    console.log('Initializing MathCAT with rules from:', rulesPath);
+    logger.info('Initializing MathCAT', { rulesPath });
     try {
-      initMathcat(rulesPath);
+      mathcat.initMathcat(rulesPath);
       mathcatInitialized = true;
-      console.log('✓ MathCAT initialized');
+      logger.info('MathCAT initialized');
     } catch (error) {
-      console.error('Failed to initialize MathCAT:', error);
+      logger.error('Failed to initialize MathCAT', { error });
       throw error;
     }
   }
@@ -50,7 +74,7 @@ function getSpeechOptionsFromQuery(query) {
     terse: 'Terse'
   }
 
-  const engine = (query.engine || 'mathcat').trim().toLowerCase();
+  const engine = (query.engine || getDefaultEngine()).trim().toLowerCase();
   let style = (query.style || getDefaultStyle(engine)).trim();
   let verbosity = (query.verbosity || getDefaultVerbosity(engine, style)).trim();
   const lang = (query.lang || config.speech.defaultLang).trim().toLowerCase();
@@ -63,7 +87,7 @@ function getSpeechOptionsFromQuery(query) {
       verbosity = 'sbrief';
     }
   }
- console.log(`gsofq: Speech options - Engine: ${engine}, Style: ${style}, Verbosity: ${verbosity}, Language: ${lang}`);
+  logger.debug('Speech options', { engine, style, verbosity, lang });
   const options = { engine, style, verbosity, lang };
   return options;
 }
@@ -79,53 +103,36 @@ async function generateSpeechWithMathCAT(mathml, options = {}) {
     throw new Error(valid.error);
   }
 
-  console.log(`Using MathCAT with Style: ${style}, Verbosity: ${verbosity}, Language: ${lang}`);
+  logger.debug('Using MathCAT', { style, verbosity, lang });
   
-  let speech = null;
-  await mathCATLock.acquire();
-  try {
-    speech = await withTimeout(
-      (() => {
-
-        if (currentMathcatOptions.style !== style) {
-          setMathcatPreference('SpeechStyle', style);
-        }
-        if (currentMathcatOptions.verbosity !== verbosity) {
-          setMathcatPreference('Verbosity', verbosity);
-        }
-        if (currentMathcatOptions.lang !== lang) {
-          setMathcatPreference('Language', lang);
-        }
-
-        currentMathcatOptions = {...options };
-
-        try {
-          const result = getSpeechTextFromMathcat(mathml);
-          
-          if (result.startsWith('-!ERROR!-')) {
-            console.warn('MathCAT error:', result);
-            return null;
-          }
-          
-          return result;
-        } catch (error) {
-          console.error('MathCAT speech generation failed:', error);
-          return null;
-        }
-      })(),
-      3000 // 3 second timeout
-    );
-  } catch (error) {
-    if (error.message === 'Operation timed out') {
-      sendError(req, res, 504, 'mmlFromTeX request timed out', 'The server took too long to process the request.');
-    } else {
-      sendError(req, res, 500, 'Internal server error', error.message);
+  // Timeouts are counted and turned into 504 errors by runExclusive
+  return runExclusive(mathCATLock, () => {
+    if (currentMathcatOptions.style !== style) {
+      mathcat.setMathcatPreference('SpeechStyle', style);
+    }
+    if (currentMathcatOptions.verbosity !== verbosity) {
+      mathcat.setMathcatPreference('Verbosity', verbosity);
+    }
+    if (currentMathcatOptions.lang !== lang) {
+      mathcat.setMathcatPreference('Language', lang);
     }
-  } finally {
-    mathCATLock.release(); // Always release, even on timeout
-  }
 
-  return speech;
+    currentMathcatOptions = {...options };
+
+    try {
+      const result = mathcat.getSpeechTextFromMathcat(mathml);
+      
+      if (result.startsWith('-!ERROR!-')) {
+        logger.warn('MathCAT error', { result });
+        return null;
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error('MathCAT speech generation failed', { error });
+      return null;
+    }
+  }, 'getSpeechTextFromMathcat', config.speech.timeout);
 }
 
 const generateSpeechWithSRE = async (mml, options) => {
@@ -139,7 +146,7 @@ const generateSpeechWithSRE = async (mml, options) => {
     throw new Error('Invalid speech options provided.');
   }
 
-  console.log(`Using SRE with Style: ${style}, Verbosity: ${verbosity}, Language: ${lang}`);
+  logger.debug('Using SRE', { style, verbosity, lang });
 
   if(SREDomain && SREDomain.toLowerCase() === 'clearspeak') {
     if(SREStyle && SREStyle.toLowerCase() === 'explicit') {
@@ -157,30 +164,13 @@ const generateSpeechWithSRE = async (mml, options) => {
     modality: 'speech'
   }
 
-  console.log('SRE Options:', JSON.stringify(SREOptions));
-
-  let speech;
-  await SRELock.acquire();
-  try {
-    speech = await withTimeout(
-      (async () => {
-        await SRE.engineReady();
-        await SRE.setupEngine(SREOptions);
-        return SRE.toSpeech(mml);
-      })(),
-      3000 // 3 second timeout
-    );
-  } catch (error) {
-    if (error.message === 'Operation timed out') {
-      sendError(req, res, 504, 'SRE.toSpeech request timed out', 'The server took too long to process the request.');
-    } else {
-      sendError(req, res, 500, 'Internal server error', error.message);
-    }
-  } finally {
-    SRELock.release(); // Always release, even on timeout
-  }
+  logger.debug('SRE options', { options: SREOptions });
 
-  return speech;
+  return runExclusive(SRELock, async () => {
+    await SRE.engineReady();
+    await SRE.setupEngine(SREOptions);
+    return SRE.toSpeech(mml);
+  }, 'SRE.toSpeech', config.speech.timeout);
 }
 
 const generateSpeechText = async (mml, options) => {
@@ -195,25 +185,10 @@ const generateSpeechText = async (mml, options) => {
 const speechTextFromTeX = async (latex, query = {}) => {
   const options = getSpeechOptionsFromQuery(query);
 
-  let mml;
-  await mathJaxLock.acquire();
-  try {
-    mml = await withTimeout(
-      (async () => {
-        // Generate SVG
-        return await mmlFromTeX(latex);
-      })(),
-      3000 // 3 second timeout
-    );
-  } catch (error) {
-    if (error.message === 'Operation timed out') {
-      sendError(req, res, 504, 'mmlFromTeX request timed out', 'The server took too long to process the request.');
-    } else {
-      sendError(req, res, 500, 'Internal server error', error.message);
-    }
-  } finally {
-    mathJaxLock.release(); // Always release, even on timeout
-  }
+  const mml = await runMathJax('mmlFromTeX', [latex, {
+    throwTexErrors: getErrorFormat(query) === 'json',
+    ...getMacroDefinitions(query),
+  }]);
 
   const speechText = generateSpeechText(mml, options);
   return speechText;
@@ -222,25 +197,7 @@ const speechTextFromTeX = async (latex, query = {}) => {
 const speechTextFromMathML = async (mathml, query = {}) => {
   const options = getSpeechOptionsFromQuery(query);
   
-  let mml;
-  await mathJaxLock.acquire();
-  try {
-    mml = await withTimeout(
-      (async () => {
-        // Generate SVG
-        return await mmlFromMathML(mathml);
-      })(),
-      3000 // 3 second timeout
-    );
-  } catch (error) {
-    if (error.message === 'Operation timed out') {
-      sendError(req, res, 504, 'mmlFromMathML request timed out', 'The server took too long to process the request.');
-    } else {
-      sendError(req, res, 500, 'Internal server error', error.message);
-    }
-  } finally {
-    mathJaxLock.release(); // Always release, even on timeout
-  }
+  const mml = await runMathJax('mmlFromMathML', [mathml]);
 
   const speechText = generateSpeechText(mml, options);
   return speechText;
@@ -249,25 +206,7 @@ const speechTextFromMathML = async (mathml, query = {}) => {
 const speechTextFromAM = async (asciimath, query = {}) => {
   const options = getSpeechOptionsFromQuery(query);
   
-  let mml;
-  await mathJaxLock.acquire();
-  try {
-    mml = await withTimeout(
-      (async () => {
-        // Generate SVG
-        return await mmlFromAM(asciimath);
-      })(),
-      3000 // 3 second timeout
-    );
-  } catch (error) {
-    if (error.message === 'Operation timed out') {
-      sendError(req, res, 504, 'mmlFromMathML request timed out', 'The server took too long to process the request.');
-    } else {
-      sendError(req, res, 500, 'Internal server error', error.message);
-    }
-  } finally {
-    mathJaxLock.release(); // Always release, even on timeout
-  }
+  const mml = await runMathJax('mmlFromAM', [asciimath]);
 
   const speechText = generateSpeechText(mml, options);
   return speechText;
@@ -314,19 +253,24 @@ function validateSpeechOptions(engine, style, verbosity) {
 }
 
 const getSpeechGeneratorsInfo = async () => {
-    ensureMathCATInitialized();
     await SRE.engineReady();
     const sreVersion = SRE.version || 'unknown';
-    const mathcatVersion = getMathcatVersion() || 'unknown';
+    if (!mathcat) return [{engine: 'sre', version: sreVersion}];
+
+    ensureMathCATInitialized();
+    const mathcatVersion = mathcat.getMathcatVersion() || 'unknown';
 
     return [{engine: 'mathcat', version: mathcatVersion}, {engine: 'sre', version: sreVersion}];
 }
 
 module.exports = {
+  isMathCATAvailable,
+  getDefaultEngine,
   getSpeechGeneratorsInfo,
   speechTextFromTeX,
   speechTextFromMathML,
   speechTextFromAM,
+  generateSpeechText,
   getSpeechOptionsFromQuery,
   validateSpeechOptions
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+// TeX macros a formula can use without defining them: a named set from
+// config.tex.macroSets (`macros=<name>`) and/or the definitions in a `preamble`
+// parameter. A set goes into the tex.macros option of the MathJax instance that
+// renders the formula (see mathJaxConverters.configureMathJax); a preamble is
+// added for its one conversion (see mathJaxConverters.withPreambleMacros), so
+// clients can't make the service boot an instance per preamble. Either way
+// formula offsets and the formula itself are unchanged.
+const config = require('../config');
+const { createHttpError } = require('../utils/sendErrorHandler');
+const { checkTeX } = require('./texPolicy');
+const { checkInputLimits } = require('./inputLimits');
+
+// A macro name after its backslash: letters, or one other character
+const NAME = /^\\([a-zA-Z]+|[^a-zA-Z\s])/;
+const DEFINITION = /^\\(newcommand|renewcommand|def|DeclareMathOperator)(?![a-zA-Z])\s*(\*?)/;
+
+const invalidPreamble = (detail) => createHttpError(400, 'Invalid preamble', detail);
+
+/**
+ * Read a balanced {...} group
+ * @returns {{content: string, end: number}|null} The group without its braces, and
+ *   the position after it; null if there is no group at `start`
+ */
+function readGroup(text, start) {
+  if (text[start] !== '{') return null;
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return { content: text.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  throw invalidPreamble('Missing close brace');
+}
+
+/**
+ * Read an optional [...] argument
+ */
+function readOptional(text, start) {
+  if (text[start] !== '[') return null;
+  const end = text.indexOf(']', start);
+  if (end < 0) throw invalidPreamble('Missing ]');
+  return { content: text.slice(start + 1, end), end: end + 1 };
+}
+
+const skipSpace = (text, start) => start + text.slice(start).match(/^(\s|%[^\n]*)*/)[0].length;
+
+/**
+ * Read the macro being defined, as \name or {\name}
+ */
+function readName(text, start) {
+  const group = readGroup(text, start);
+  const source = group ? group.content.trim() : text.slice(start);
+  const name = source.match(NAME);
+  if (!name || (group && name[0] !== source)) {
+    throw invalidPreamble(`Expected a macro name at offset ${start}`);
+  }
+  return { name: name[1], end: group ? group.end : start + name[0].length };
+}
+
+/**
+ * Turn a preamble of \newcommand, \renewcommand, \def and \DeclareMathOperator
+ * definitions into macros in the format of MathJax's tex.macros option
+ * @param {string} preamble - TeX definitions
+ * @returns {Object<string, string|Array>} Macro definitions by name (without the backslash)
+ * @throws {Error} 400 HTTP error for anything else, or a malformed definition
+ */
+function parsePreamble(preamble) {
+  const text = String(preamble);
+  const macros = {};
+  let position = skipSpace(text, 0);
+
+  while (position < text.length) {
+    const command = text.slice(position).match(DEFINITION);
+    if (!command) {
+      throw invalidPreamble(`Only \\newcommand, \\renewcommand, \\def and \\DeclareMathOperator are allowed, found '${text.slice(position, position + 20)}' at offset ${position}`);
+    }
+    const [, type, star] = command;
+    const { name, end } = readName(text, skipSpace(text, position + command[0].length));
+    position = skipSpace(text, end);
+
+    let args = 0;
+    let optional = null;
+    if (type === 'def') {
+      // \def\name#1#2{...}
+      const params = text.slice(position).match(/^(#\d\s*)*/)[0];
+      args = (params.match(/#/g) || []).length;
+      position = skipSpace(text, position + params.length);
+    } else if (type !== 'DeclareMathOperator') {
+      const count = readOptional(text, position);
+      if (count) {
+        args = Number(count.content.trim());
+        if (!Number.isInteger(args) || args < 1 || args > 9) {
+          throw invalidPreamble(`Invalid number of arguments for \\${name}: ${count.content}`);
+        }
+        position = skipSpace(text, count.end);
+        optional = readOptional(text, position);
+        if (optional) position = skipSpace(text, optional.end);
+      }
+    }
+
+    const body = readGroup(text, position);
+    if (!body) throw invalidPreamble(`Missing definition of \\${name}`);
+    position = skipSpace(text, body.end);
+
+    if (type === 'DeclareMathOperator') {
+      macros[name] = `\\operatorname${star}{${body.content}}`;
+    } else if (optional) {
+      macros[name] = [body.content, args, optional.content];
+    } else {
+      macros[name] = args ? [body.content, args] : body.content;
+    }
+  }
+  return macros;
+}
+
+/**
+ * The macros a request selects with `macros` and `preamble`: the set's
+ * definitions in `macros`, the preamble's in `preambleMacros`. Preamble
+ * definitions override the set's.
+ * @param {Object} query - Request parameters
+ * @returns {{set: string|null, version: string|null, preamble: string|null, macros: Object, preambleMacros: Object}|null}
+ *   null when the request uses neither
+ * @throws {Error} 400 HTTP error for an unknown set or a preamble that is invalid,
+ *   or refused by the package policy or input limits
+ */
+function getTexMacros(query = {}) {
+  const setName = query.macros ? String(query.macros) : null;
+  const preamble = query.preamble ? String(query.preamble).trim() : null;
+  if (!setName && !preamble) return null;
+
+  const set = setName ? config.tex.macroSets[setName] : null;
+  if (setName && !set) {
+    const names = Object.keys(config.tex.macroSets);
+    throw createHttpError(400, 'Unknown macro set',
+      names.length ? `macros must be one of: ${names.join(', ')}` : 'No macro sets are configured');
+  }
+  if (preamble) {
+    checkInputLimits('latex', preamble);
+    checkTeX(preamble);
+  }
+
+  return {
+    set: setName,
+    version: set ? set.version : null,
+    preamble,
+    macros: set ? set.macros : {},
+    preambleMacros: preamble ? parsePreamble(preamble) : {},
+  };
+}
+
+/**
+ * Just the definitions from getTexMacros, as options for the TeX converters
+ * @param {Object} query - Request parameters
+ * @returns {{macros?: Object, preambleMacros?: Object}} Empty when the request uses neither
+ */
+function getMacroDefinitions(query) {
+  const texMacros = getTexMacros(query);
+  if (!texMacros) return {};
+  const { macros, preambleMacros } = texMacros;
+  return { macros, preambleMacros };
+}
+
+/**
+ * What cache keys need to know about a request's macros
+ * @param {Object} query - Request parameters
+ * @returns {{set: string|null, version: string|null, preamble: string|null}|undefined}
+ */
+function describeTexMacros(query = {}) {
+  const texMacros = getTexMacros(query);
+  if (!texMacros) return undefined;
+  const { set, version, preamble } = texMacros;
+  return { set, version, preamble };
+}
+
+/**
+ * The named macro sets, for /packages
+ * @returns {Object<string, {version: string, macros: string[]}>}
+ */
+const describeMacroSets = () =>
+  Object.fromEntries(Object.entries(config.tex.macroSets)
+    .map(([name, { version, macros }]) => [name, { version, macros: Object.keys(macros).map(macro => `\\${macro}`) }]));
+
+module.exports = {
+  parsePreamble,
+  getTexMacros,
+  getMacroDefinitions,
+  describeTexMacros,
+  describeMacroSets,
+};
@@ -0,0 +1,160 @@
+// Which TeX packages a formula may \require{}, and what safe mode keeps out of
+// the output. Formulas are checked before they are queued for MathJax, so a
+// refused package neither triggers a reconfiguration nor waits out the timeout
+// trying to load something that doesn't exist.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createHttpError } = require('../utils/sendErrorHandler');
+
+// The TeX extensions shipped with MathJax
+const BUNDLED_PACKAGES = fs
+  .readdirSync(path.join(path.dirname(require.resolve('@mathjax/src/bundle/startup.js')), 'input/tex/extensions'))
+  .filter(file => file.endsWith('.js'))
+  .map(file => file.slice(0, -3))
+  .sort();
+
+// MathJax's own machinery, or packages that let a formula change the TeX configuration
+const INTERNAL_PACKAGES = ['autoload', 'configmacros', 'require', 'setoptions', 'textmacros'];
+
+// Packages safe mode disables: html (\href, \class, \style, \cssId, \data)
+// and texhtml (raw HTML inside TeX)
+const SAFE_MODE_PACKAGES = ['html', 'texhtml'];
+
+const HTML_MACROS = /\\(href|class|style|cssId|data)(?![a-zA-Z])/g;
+
+// \unicode[<height>,<depth>][<font>]{<n>} or \unicode[<font>]{<n>}
+const UNICODE_OPTIONS = /\\unicode\s*((?:\[[^\]]*\]\s*)+)/g;
+const UNICODE_SIZE = /^\s*(\d+(\.\d*)?|\.\d+)\s*,\s*(\d+(\.\d*)?|\.\d+)\s*$/;
+
+const REQUIRE = /\\require\s*\{([^}]*)\}/g;
+
+/**
+ * Find the \require{} calls in a TeX string
+ * @param {string} tex - The TeX string to analyze
+ * @returns {{name: string, offset: number, length: number}[]} Package names (without
+ *   a [tex]/ prefix) and where each call is, in order
+ */
+function findRequires(tex) {
+  return [...String(tex).matchAll(REQUIRE)].map(match => ({
+    name: match[1].trim().replace(/^\[tex\]\//, ''),
+    offset: match.index,
+    length: match[0].length,
+  }));
+}
+
+/**
+ * Extract required packages from a TeX string
+ * @param {string} tex - The TeX string to analyze
+ * @returns {string[]} Sorted, distinct package names (without a [tex]/ prefix)
+ */
+function extractRequiredPackages(tex) {
+  const packages = new Set(findRequires(tex).map(({ name }) => name));
+  return [...packages].sort(); // Sort for consistent signature
+}
+
+/**
+ * Why a package can't be used, if it can't
+ * @param {string} name - Package name
+ * @returns {string|null} 'unknown', 'internal', 'denied', 'safe mode', 'not allowed', or null if allowed
+ */
+function packageRefusal(name) {
+  const { allow, deny } = config.tex.packages;
+  if (!BUNDLED_PACKAGES.includes(name)) return 'unknown';
+  if (INTERNAL_PACKAGES.includes(name)) return 'internal';
+  if (deny.includes(name)) return 'denied';
+  if (config.tex.safeMode && SAFE_MODE_PACKAGES.includes(name)) return 'safe mode';
+  if (allow.length && !allow.includes(name)) return 'not allowed';
+  return null;
+}
+
+/**
+ * @param {string} name - Package name
+ * @returns {boolean} Whether formulas may \require{} the package
+ */
+const isPackageAllowed = (name) => packageRefusal(name) === null;
+
+/**
+ * @param {string} name - Package name
+ * @returns {boolean} Whether the package is denied or disabled by safe mode, and
+ *   so left out of MathJax even where it is loaded by default
+ */
+const isPackageDisabled = (name) => ['denied', 'safe mode'].includes(packageRefusal(name));
+
+/**
+ * Reject a TeX formula that requires a package it may not use or, in safe
+ * mode, uses HTML macros or \unicode font names
+ * @param {string} tex - The TeX formula
+ * @throws {Error} 400 HTTP error naming the offending package or macro
+ */
+function checkTeX(tex) {
+  for (const name of extractRequiredPackages(tex)) {
+    const reason = packageRefusal(name);
+    if (reason) {
+      throw createHttpError(400, 'TeX package not allowed',
+        `\\require{${name}} is not allowed (${reason}); see /packages for the packages you can use`);
+    }
+  }
+  const [violation] = findSafeModeViolations(tex);
+  if (violation) {
+    throw createHttpError(400, 'TeX macro not allowed', violation.detail);
+  }
+}
+
+/**
+ * Find what safe mode refuses in a TeX formula: HTML macros and \unicode font names
+ * @param {string} tex - The TeX formula
+ * @returns {{macro: string, offset: number, detail: string}[]} Nothing when safe mode is off
+ */
+function findSafeModeViolations(tex) {
+  if (!config.tex.safeMode) return [];
+
+  const violations = [...String(tex).matchAll(HTML_MACROS)].map(match => ({
+    macro: `\\${match[1]}`,
+    offset: match.index,
+    detail: `\\${match[1]} is disabled in safe mode`,
+  }));
+  for (const match of String(tex).matchAll(UNICODE_OPTIONS)) {
+    const options = match[1].match(/\[[^\]]*\]/g).map(option => option.slice(1, -1));
+    // Only a height,depth pair is allowed; anything else names a font
+    if (options.length > 1 || !UNICODE_SIZE.test(options[0])) {
+      violations.push({
+        macro: '\\unicode',
+        offset: match.index,
+        detail: '\\unicode font options are disabled in safe mode',
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * The package policy, for /packages
+ * @returns {{safeMode: boolean, allowed: string[], refused: Object<string, string>}}
+ */
+const describePackagePolicy = () => {
+  const allowed = [];
+  const refused = {};
+  BUNDLED_PACKAGES.forEach((name) => {
+    const reason = packageRefusal(name);
+    if (reason) {
+      refused[name] = reason;
+    } else {
+      allowed.push(name);
+    }
+  });
+  return { safeMode: config.tex.safeMode, allowed, refused };
+};
+
+module.exports = {
+  BUNDLED_PACKAGES,
+  UNICODE_SIZE,
+  findRequires,
+  extractRequiredPackages,
+  packageRefusal,
+  isPackageAllowed,
+  isPackageDisabled,
+  checkTeX,
+  findSafeModeViolations,
+  describePackagePolicy,
+};
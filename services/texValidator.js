@@ -0,0 +1,372 @@
+// Checks a TeX formula without rendering it, for /validate. Some problems are
+// found by scanning the source (refused packages, safe mode, unbalanced braces,
+// MathJax v2 constructs); the rest by running it through MathJax's TeX parser
+// with the same package handling as the converters. Each problem comes with a
+// suggested fix.
+const fs = require('fs');
+const path = require('path');
+const { BUNDLED_PACKAGES, findRequires, packageRefusal, findSafeModeViolations, isPackageAllowed } = require('./texPolicy');
+const { checkInputLimits } = require('./inputLimits');
+const { runMathJax } = require('./mathJaxPool');
+const { getDefaultPackages } = require('./mathJaxConverters');
+
+// Packages every TeX input jax has, on top of getDefaultPackages()
+const CORE_PACKAGES = ['base', 'ams', 'newcommand'];
+
+// MathJax v2 extension names whose v3+ package has a different name
+const V2_PACKAGES = {
+  AMSmath: 'ams',
+  AMSsymbols: 'ams',
+  AMScd: 'amscd',
+  HTML: 'html',
+  noErrors: 'noerrors',
+  noUndefined: 'noundefined',
+};
+
+// MathJax error codes for unbalanced braces, which the source scan reports with better positions
+const BRACE_ERRORS = ['ExtraCloseMissingOpen', 'ExtraOpenMissingClose', 'MissingCloseBrace'];
+
+// MathJax's error for autoloading a package the policy refuses, e.g. html for
+// \href in safe mode, which the safe mode scan reports at the macro
+const REQUIRE_ERRORS = ['BadRequire'];
+
+// Suggested fixes for MathJax's TeX errors, by error code
+const FIXES = {
+  MissingArgFor: (macro) => `Give ${macro} all of its arguments, each in braces`,
+  DoubleSubscripts: () => 'Group the subscripts with braces, e.g. x_{a_b} or {x_a}_b',
+  DoubleExponent: () => 'Group the superscripts with braces, e.g. x^{a^b} or {x^a}^b',
+  DoubleExponentPrime: () => "Group the prime with its base, e.g. {x'}^2",
+  ExtraLeftMissingRight: () => 'Close the \\left with a \\right (\\right. for no delimiter)',
+  ExtraMiddle: () => 'Use \\middle only between \\left and \\right',
+  MissingOrUnrecognizedDelim: (macro) => `Follow ${macro || 'the macro'} with a delimiter such as ( [ \\{ | or . for none`,
+  EnvMissingEnd: () => 'Close the environment with a matching \\end{...}',
+  EnvBadEnd: () => 'Make the \\end{...} name match its \\begin{...}',
+  Misplaced: () => 'Use & and \\\\ only inside an environment such as aligned, cases or matrix',
+  MissingDimOrUnits: () => 'Give a dimension with units, e.g. 1em or 2pt',
+  MultipleLabel: () => 'Use only one \\label per equation',
+  BadRequire: () => 'Rewrite the formula without the macros of that package; see /packages for the packages you can use',
+};
+
+// A two-argument \color{<colour>}{<math>}
+const COLOR_V2 = /\\color\s*\{[^{}]*\}\s*\{/g;
+
+// Brace tokens, skipping escaped characters and comments
+const BRACE_TOKENS = /\\[^a-zA-Z]|%[^\n]*|[{}]/g;
+
+let texIndex = null;
+
+/**
+ * Which packages define each TeX macro and environment, from MathJax's own
+ * package configurations. Built on first use.
+ * @returns {Map<string, string[]>} Package names keyed by `\name` for macros and `name` for environments
+ */
+function getTexIndex() {
+  if (texIndex) return texIndex;
+
+  const dir = path.dirname(require.resolve('@mathjax/src/cjs/input/tex/Configuration.js'));
+  const { ConfigurationHandler } = require('@mathjax/src/cjs/input/tex/Configuration.js');
+  const { MapHandler } = require('@mathjax/src/cjs/input/tex/MapHandler.js');
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+    fs.readdirSync(path.join(dir, entry.name))
+      .filter(file => file.endsWith('Configuration.js'))
+      .forEach(file => require(path.join(dir, entry.name, file)));
+  }
+
+  texIndex = new Map();
+  for (const name of ConfigurationHandler.keys()) {
+    const { handler } = ConfigurationHandler.get(name);
+    for (const [kind, prefix] of [['macro', '\\'], ['environment', '']]) {
+      for (const mapName of handler[kind] || []) {
+        const map = MapHandler.getMap(mapName);
+        for (const key of map ? map.map.keys() : []) {
+          const packages = texIndex.get(prefix + key) || [];
+          if (!packages.includes(name)) texIndex.set(prefix + key, [...packages, name]);
+        }
+      }
+    }
+  }
+  return texIndex;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring characters as one edit
+ */
+function editDistance(a, b) {
+  let previous = [];
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+    }
+    previous = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * Names within two edits of a misspelt one, closest first
+ * @param {string} name - The misspelt name
+ * @param {Iterable<string>} names - Candidates
+ * @returns {string[]} At most five names
+ */
+function similarNames(name, names) {
+  return [...names]
+    .filter(candidate => Math.abs(candidate.length - name.length) <= 2)
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance > 0 && distance <= 2)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, 5)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Where a name is defined: the first package defining it that formulas can
+ * \require, else the first one refused by the package policy (with the reason)
+ * @param {string} name - `\macro` or environment name
+ * @returns {{name: string, refusal: string|null}|null}
+ */
+function findPackage(name) {
+  // 'unknown' covers base and ams, which are always loaded
+  const packages = (getTexIndex().get(name) || [])
+    .map(pkg => ({ name: pkg, refusal: packageRefusal(pkg) }))
+    .filter(({ refusal }) => refusal !== 'unknown' && refusal !== 'internal');
+  return packages.find(({ refusal }) => !refusal) || packages[0] || null;
+}
+
+/**
+ * Macros or environments a formula can use without \require
+ * @param {string[]} loaded - Packages the formula loads
+ * @param {boolean} environments - Environment names rather than macros
+ */
+function availableNames(loaded, environments) {
+  const names = [];
+  for (const [name, packages] of getTexIndex()) {
+    if (name.startsWith('\\') !== environments && packages.some(pkg => loaded.includes(pkg))) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * A problem for something a package provides: how to load it, or why it can't be
+ */
+function packageProblem(code, what, macro, offset, pkg) {
+  if (pkg.refusal) {
+    return {
+      severity: 'error',
+      code,
+      message: `${what} needs the ${pkg.name} package, which is not allowed (${pkg.refusal})`,
+      macro,
+      offset,
+      fix: `Rewrite the formula without ${what}; see /packages for the packages you can use`,
+    };
+  }
+  return {
+    severity: 'error',
+    code,
+    message: `${what} needs the ${pkg.name} package`,
+    macro,
+    offset,
+    fix: `Add \\require{${pkg.name}} at the start of the formula`,
+  };
+}
+
+/**
+ * \require{} calls the package policy refuses
+ */
+function checkRequires(requires) {
+  const problems = [];
+  for (const { name, offset } of requires) {
+    const reason = packageRefusal(name);
+    if (!reason) continue;
+
+    const problem = {
+      severity: 'error',
+      code: 'PackageNotAllowed',
+      message: `\\require{${name}} is not allowed (${reason})`,
+      macro: '\\require',
+      offset,
+      fix: 'Remove the \\require; see /packages for the packages you can use',
+    };
+    if (reason === 'unknown') {
+      const defaults = [...CORE_PACKAGES, ...getDefaultPackages()];
+      const renamed = V2_PACKAGES[name]
+        || [...defaults, ...BUNDLED_PACKAGES].find(pkg => pkg.toLowerCase() === name.toLowerCase());
+      const suggestions = renamed ? [renamed] : similarNames(name, BUNDLED_PACKAGES);
+      if (defaults.includes(renamed)) {
+        problem.fix = `The ${renamed} package is loaded by default; remove the \\require`;
+      } else if (suggestions.length && isPackageAllowed(suggestions[0])) {
+        problem.fix = `Use \\require{${suggestions[0]}}`;
+      }
+      if (suggestions.length) problem.suggestions = suggestions;
+    }
+    problems.push(problem);
+  }
+  return problems;
+}
+
+/**
+ * Unbalanced braces, found by scanning the source
+ */
+function checkBraces(tex) {
+  const problems = [];
+  const open = [];
+  for (const { 0: token, index } of tex.matchAll(BRACE_TOKENS)) {
+    if (token === '{') {
+      open.push(index);
+    } else if (token === '}') {
+      if (open.pop() === undefined) {
+        problems.push({
+          severity: 'error',
+          code: 'ExtraCloseBrace',
+          message: 'Extra close brace',
+          macro: null,
+          offset: index,
+          fix: 'Remove the }, or add the { it was meant to close (\\} for a literal brace)',
+        });
+      }
+    }
+  }
+  open.forEach(offset => problems.push({
+    severity: 'error',
+    code: 'MissingCloseBrace',
+    message: 'Missing close brace',
+    macro: null,
+    offset,
+    fix: 'Add the } that closes this {, or write \\{ for a literal brace',
+  }));
+  return problems;
+}
+
+/**
+ * MathJax v2's two-argument \color, which colours everything after it in
+ * MathJax v3 and later (see notes.md)
+ */
+function checkColorV2(tex, requires) {
+  if (requires.some(({ name }) => name === 'colorv2')) return [];
+  const colorv2 = isPackageAllowed('colorv2') ? ', or \\require{colorv2} for the MathJax v2 behaviour' : '';
+  return [...tex.matchAll(COLOR_V2)].map(({ index }) => ({
+    severity: 'warning',
+    code: 'DeprecatedColor',
+    message: '\\color with two arguments is MathJax v2 syntax; \\color now colours everything after it in its group',
+    macro: '\\color',
+    offset: index,
+    fix: `Use \\textcolor{<colour>}{<math>} to colour just the math${colorv2}`,
+  }));
+}
+
+/**
+ * The problems MathJax's parser found: each undefined macro (at its first use)
+ * and the error that stopped it, unless another check already covers its code
+ * @param {{error: Object|null, undefinedMacros: Object[]}} parse - From mathJaxConverters.validateTeX
+ * @param {string[]} loaded - Packages the formula loads
+ * @param {string[]} skipErrors - Error codes to leave out
+ * @param {string[]} macroNames - Macros from a macro set or preamble
+ */
+function describeParse({ error, undefinedMacros }, loaded, skipErrors, macroNames) {
+  const problems = [];
+  const seen = new Set();
+  for (const { macro, offset } of undefinedMacros) {
+    if (seen.has(macro)) continue;
+    seen.add(macro);
+
+    const pkg = findPackage(macro);
+    if (pkg) {
+      problems.push(packageProblem('PackageRequired', macro, macro, offset, pkg));
+      continue;
+    }
+    const suggestions = similarNames(macro, [...availableNames(loaded, false), ...macroNames]);
+    problems.push({
+      severity: 'error',
+      code: 'UndefinedControlSequence',
+      message: `Undefined control sequence ${macro}`,
+      macro,
+      offset,
+      fix: suggestions.length
+        ? `Did you mean ${suggestions[0]}?`
+        : 'Check the spelling, or define the macro with \\newcommand',
+      ...(suggestions.length && { suggestions }),
+    });
+  }
+
+  if (!error || skipErrors.includes(error.code)) return problems;
+
+  const env = error.code === 'UnknownEnv' && (error.message.match(/'(.*)'/) || [])[1];
+  const pkg = env && findPackage(env);
+  if (pkg) {
+    problems.push(packageProblem('PackageRequired', `The ${env} environment`, error.macro, error.offset, pkg));
+    return problems;
+  }
+  const suggestions = env ? similarNames(env, availableNames(loaded, true)) : [];
+  const fix = FIXES[error.code];
+  problems.push({
+    severity: 'error',
+    code: error.code,
+    message: error.message,
+    macro: error.macro,
+    offset: error.offset,
+    fix: suggestions.length ? `Did you mean ${suggestions[0]}?` : fix ? fix(error.macro) : null,
+    ...(suggestions.length && { suggestions }),
+  });
+  return problems;
+}
+
+/**
+ * Check a TeX formula without rendering it
+ * @param {string} tex - The TeX formula
+ * @param {{macros?: Object, preambleMacros?: Object}} [definitions={}] - Macro definitions
+ *   from texMacros.getMacroDefinitions
+ * @returns {Promise<{valid: boolean, problems: Object[]}>} `valid` unless there are
+ *   problems of severity 'error'. Problems are ordered by offset, each
+ *   {severity, code, message, macro, offset, fix[, suggestions]}.
+ * @throws {Error} HTTP error if the formula is over the input limits
+ */
+async function validateTeX(tex, definitions = {}) {
+  checkInputLimits('latex', tex);
+
+  const requires = findRequires(tex);
+  const braces = checkBraces(tex);
+  const violations = findSafeModeViolations(tex);
+  const problems = [
+    ...checkRequires(requires),
+    ...violations.map(({ macro, offset, detail }) => ({
+      severity: 'error',
+      code: 'MacroNotAllowed',
+      message: detail,
+      macro,
+      offset,
+      fix: `Remove ${macro}; the server runs in safe mode`,
+    })),
+    ...braces,
+    ...checkColorV2(tex, requires),
+  ];
+
+  // Blank out refused \require calls, so MathJax neither tries to load them nor shifts the offsets
+  let parsed = tex;
+  requires.filter(({ name }) => packageRefusal(name)).forEach(({ offset, length }) => {
+    parsed = parsed.slice(0, offset) + ' '.repeat(length) + parsed.slice(offset + length);
+  });
+  const loaded = [...CORE_PACKAGES, ...getDefaultPackages(),
+    ...requires.map(({ name }) => name).filter(isPackageAllowed)];
+  const skipErrors = [...(braces.length ? BRACE_ERRORS : []), ...(violations.length ? REQUIRE_ERRORS : [])];
+  const macroNames = Object.keys({ ...definitions.macros, ...definitions.preambleMacros }).map(name => `\\${name}`);
+  const parse = describeParse(await runMathJax('validateTeX', [parsed, definitions]), loaded, skipErrors, macroNames);
+
+  // MathJax can report again what the source checks found, e.g. a macro refused in safe
+  // mode is also undefined: keep the source check's version, with its more specific fix
+  const reported = ({ offset, code, macro }) => problems.some(problem => problem.offset === offset &&
+    (problem.code === code || (macro && problem.macro === macro)));
+  problems.push(...parse.filter(problem => !reported(problem)));
+
+  // Array.prototype.sort is stable, so the source checks come first at the same offset
+  const ordered = problems.sort((a, b) => a.offset - b.offset);
+  return { valid: !ordered.some(({ severity }) => severity === 'error'), problems: ordered };
+}
+
+module.exports = {
+  validateTeX,
+};
@@ -0,0 +1,178 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+
+const TOKEN = 'test-admin-token';
+
+/**
+ * Collect the audit entries written while `fn` runs
+ */
+const captureAudit = async (fn) => {
+  const write = process.stdout.write;
+  const lines = [];
+  process.stdout.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.level === 'audit');
+};
+
+describe('Admin Route Tests', () => {
+  const adminTokens = config.admin.tokens;
+  const logFormat = config.log.format;
+
+  before(() => {
+    config.admin.tokens = [TOKEN, 'second-token'];
+    config.log.format = 'json';
+  });
+
+  after(() => {
+    config.admin.tokens = adminTokens;
+    config.log.format = logFormat;
+  });
+
+  describe('Authentication', () => {
+    it('should refuse requests without a token', (done) => {
+      request(app)
+        .post('/admin/cache-clear')
+        .expect(401)
+        .expect('WWW-Authenticate', /Bearer/)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.error).to.equal('Unauthorized');
+          done();
+        });
+    });
+
+    it('should refuse an invalid token', (done) => {
+      request(app)
+        .get('/admin/cache-stats')
+        .set('Authorization', 'Bearer not-the-token')
+        .expect(401, done);
+    });
+
+    it('should accept a bearer token', (done) => {
+      request(app)
+        .get('/admin/cache-stats')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body).to.include.keys('hits', 'misses', 'tiers');
+          done();
+        });
+    });
+
+    it('should accept any configured token as an X-Admin-Key', (done) => {
+      request(app)
+        .get('/admin/cache-stats')
+        .set('X-Admin-Key', 'second-token')
+        .expect(200, done);
+    });
+
+    it('should be disabled when no token is configured', (done) => {
+      config.admin.tokens = [];
+      request(app)
+        .get('/admin/cache-stats')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .expect(503)
+        .end((err, res) => {
+          config.admin.tokens = [TOKEN, 'second-token'];
+          if (err) return done(err);
+          expect(res.body.error).to.equal('Admin API disabled');
+          done();
+        });
+    });
+  });
+
+  describe('Actions', () => {
+    it('should clear the cache', async () => {
+      await request(app).get('/latex').query({ latex: 'a_1^2', format: 'svg' }).expect('X-Cache', 'MISS');
+
+      const res = await request(app)
+        .post('/admin/cache-clear')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .expect(200);
+      expect(res.body.cleared).to.be.at.least(1);
+
+      await request(app).get('/latex').query({ latex: 'a_1^2', format: 'svg' }).expect('X-Cache', 'MISS');
+    });
+
+    it('should report the MathJax pool and memory in /admin/health', (done) => {
+      request(app)
+        .get('/admin/health')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body).to.include.keys('uptime', 'memory', 'mathJax');
+          done();
+        });
+    });
+
+    it('should dump the effective config without secrets', (done) => {
+      request(app)
+        .get('/admin/config')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body).to.include.keys('cors', 'cache', 'mathJax', 'log');
+          expect(res.body.admin).to.deep.equal({ tokens: 2, publicMetrics: false });
+          expect(JSON.stringify(res.body)).to.not.include(TOKEN);
+          done();
+        });
+    });
+
+    it('should keep the public /health minimal', (done) => {
+      request(app)
+        .get('/health')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(Object.keys(res.body)).to.have.members(['status', 'timestamp']);
+          done();
+        });
+    });
+
+    it('should no longer serve the cache routes publicly', async () => {
+      await request(app).post('/cache-clear').expect(404);
+      await request(app).get('/cache-stats').expect(404);
+    });
+  });
+
+  describe('Audit Log', () => {
+    it('should write an audit entry for each admin action', async () => {
+      const entries = await captureAudit(() => request(app)
+        .post('/admin/cache-clear')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .set('X-Request-Id', 'audit-1')
+        .expect(200));
+
+      expect(entries).to.have.length(1);
+      expect(entries[0]).to.include({ msg: 'Admin action', action: 'POST /admin/cache-clear', status: 200, requestId: 'audit-1' });
+      expect(entries[0].principal).to.match(/^token:[0-9a-f]{8}$/);
+      expect(entries[0].result).to.have.property('cleared');
+      expect(JSON.stringify(entries[0])).to.not.include(TOKEN);
+    });
+
+    it('should write an audit entry for refused requests', async () => {
+      const entries = await captureAudit(() => request(app)
+        .post('/admin/cache-clear')
+        .set('Authorization', 'Bearer wrong')
+        .expect(401));
+
+      expect(entries).to.have.length(1);
+      expect(entries[0]).to.include({ msg: 'Admin request refused', action: 'POST /admin/cache-clear', reason: 'invalid token' });
+    });
+  });
+});
@@ -170,11 +170,41 @@ describe('AsciiMath Route Tests', () => {
     });
   });
 
+  describe('MathML Output', () => {
+    it('should return MathML when format=mathml is specified', (done) => {
+      request(app)
+        .get('/asciimath')
+        .query({ format: 'mathml', asciimath: fractionAsciiMath })
+        .expect(200)
+        .expect('Content-Type', /application\/mathml\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.include('<math');
+          expect(mmlContent).to.not.include('<svg');
+          done();
+        });
+    });
+
+    it('should render inline MathML when display=0', (done) => {
+      request(app)
+        .get('/asciimath')
+        .query({ format: 'mathml', display: 0, asciimath: fractionAsciiMath })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.not.include('display="block"');
+          done();
+        });
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return SVG error msg for missing AsciiMath', (done) => {
       request(app)
         .get('/asciimath')
-        .query({})
+        .query({ svg: 1 })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -191,7 +221,7 @@ describe('AsciiMath Route Tests', () => {
     it('should return SVG error msg for empty AsciiMath', (done) => {
       request(app)
         .get('/asciimath')
-        .query({ asciimath: '' })
+        .query({ svg: 1, asciimath: '' })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -336,7 +366,7 @@ describe('AsciiMath Route Tests', () => {
     it('should return 400 for invalid base64', (done) => {
       request(app)
         .get('/asciimath')
-        .query({ asciimath: 'invalid_base64!@#', isBase64: 'true' })
+        .query({ svg: 1, asciimath: 'invalid_base64!@#', isBase64: 'true' })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
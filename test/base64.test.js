@@ -284,6 +284,7 @@ describe('Base64 Encoded Formulas', () => {
       request(app)
         .get('/latex')
         .query({ 
+          svg: 1,
           latex: base64Formula, 
           isBase64: 'true'
         })
@@ -306,6 +307,7 @@ describe('Base64 Encoded Formulas', () => {
       request(app)
         .get('/latex')
         .query({ 
+          svg: 1,
           latex: invalidBase64, 
           isBase64: 'true'
         })
@@ -347,6 +349,7 @@ describe('Base64 Encoded Formulas', () => {
       request(app)
         .get('/latex')
         .query({ 
+          svg: 1,
           latex: base64WithWhitespace, 
           isBase64: 'true'
         })
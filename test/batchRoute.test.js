@@ -0,0 +1,157 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const cache = require('../middleware/cache');
+
+describe('Batch Route Tests', () => {
+  describe('Rendering', () => {
+    it('should render every item in one response', (done) => {
+      request(app)
+        .post('/batch')
+        .send([
+          { id: 'svg', type: 'latex', formula: 'x^2', format: 'svg' },
+          { id: 'png', type: 'asciimath', formula: 'a/b', format: 'png' },
+          { id: 'mml', type: 'mathml', formula: '<math><mi>x</mi></math>', format: 'mathml' },
+          { id: 'speech', type: 'latex', formula: 'x^2', format: 'speech' },
+        ])
+        .expect(200)
+        .expect('Content-Type', /json/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const [svg, png, mml, speech] = res.body.results;
+          expect(res.body.summary).to.deep.equal({ total: 4, succeeded: 4, failed: 0 });
+
+          expect(svg.id).to.equal('svg');
+          expect(svg.contentType).to.equal('image/svg+xml');
+          expect(svg.data).to.include('<svg');
+
+          expect(png.encoding).to.equal('base64');
+          expect(Buffer.from(png.data, 'base64')[0]).to.equal(0x89);
+
+          expect(mml.contentType).to.match(/mathml/);
+          expect(mml.data).to.include('<math');
+
+          expect(speech.data).to.include('x squared');
+          done();
+        });
+    });
+
+    it('should accept an { items } object and default ids to the item index', (done) => {
+      request(app)
+        .post('/batch')
+        .send({ items: [{ type: 'latex', formula: 'y^3', format: 'svg' }] })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.results[0].id).to.equal(0);
+          expect(res.body.results[0].status).to.equal(200);
+          done();
+        });
+    });
+
+    it('should decode base64 formulas', (done) => {
+      request(app)
+        .post('/batch')
+        .send([{ type: 'latex', formula: Buffer.from('z^2').toString('base64'), format: 'mathml', options: { isBase64: true } }])
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.results[0].data).to.include('<mi>z</mi>');
+          done();
+        });
+    });
+  });
+
+  describe('Per-item Errors', () => {
+    it('should report errors per item without failing the batch', (done) => {
+      request(app)
+        .post('/batch')
+        .send([
+          { type: 'latex', formula: 'x', format: 'svg' },
+          { type: 'klingon', formula: 'x', format: 'svg' },
+          { type: 'latex', formula: 'x', format: 'gif' },
+          { type: 'latex', formula: '', format: 'svg' },
+          { type: 'latex', formula: 'x', format: 'speech', options: { engine: 'nope' } },
+        ])
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const statuses = res.body.results.map(r => r.status);
+          expect(statuses).to.deep.equal([200, 400, 400, 400, 400]);
+          expect(res.body.results[1].error).to.equal('Invalid input type');
+          expect(res.body.results[2].error).to.equal('Invalid output format');
+          expect(res.body.results[3].error).to.equal('Formula is required');
+          expect(res.body.results[4].error).to.equal('Invalid speech options');
+          expect(res.body.summary.failed).to.equal(4);
+          done();
+        });
+    });
+
+    it('should reject an empty batch', (done) => {
+      request(app)
+        .post('/batch')
+        .send([])
+        .expect(400)
+        .expect('Content-Type', /json/)
+        .end(done);
+    });
+
+    it('should reject a body that is not a list of formulas', (done) => {
+      request(app)
+        .post('/batch')
+        .send({ latex: 'x^2' })
+        .expect(400)
+        .end(done);
+    });
+  });
+
+  describe('Response Cache', () => {
+    it('should fill the cache used by the single-formula routes', (done) => {
+      const formula = '\\sqrt{batch_{cache}}';
+      request(app)
+        .post('/batch')
+        .send([{ type: 'latex', formula, format: 'svg' }])
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.results[0].cache).to.equal('MISS');
+          request(app)
+            .get('/latex')
+            .query({ latex: formula, format: 'svg' })
+            .expect(200)
+            .expect('X-Cache', 'HIT')
+            .end(done);
+        });
+    });
+
+    it('should serve repeated batch items from the cache', (done) => {
+      const item = { type: 'asciimath', formula: 'sqrt(batch)', format: 'mathml' };
+      request(app)
+        .post('/batch')
+        .send([item, item])
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.results.map(r => r.cache)).to.deep.equal(['MISS', 'HIT']);
+          expect(res.body.results[0].data).to.equal(res.body.results[1].data);
+          done();
+        });
+    });
+
+    it('should render items without a cache key outside the cache', async () => {
+      const before = await cache.getStats();
+      const res = await request(app)
+        .post('/batch')
+        .send([
+          { type: 'latex', formula: 'x', format: 'svg', options: { macros: 'no-such-set' } },
+          { type: 'latex', formula: 'y', format: 'svg', options: { macros: 'no-such-set' } },
+        ])
+        .expect(200);
+
+      expect(res.body.results.map(r => r.status)).to.deep.equal([400, 400]);
+      const after = await cache.getStats();
+      expect(after.misses).to.equal(before.misses);
+      expect(after.coalesced).to.equal(before.coalesced);
+    });
+  });
+});
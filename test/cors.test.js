@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { createCorsPolicy, isOriginAllowed } = require('../middleware/cors');
+
+describe('CORS', () => {
+  describe('Policy', () => {
+    const policy = createCorsPolicy([
+      'https://books.example.org/',
+      'https://*.pressbooks.pub',
+      '/^https:\\/\\/[a-z]+\\.lndo\\.site(:\\d+)?$/',
+    ]);
+
+    it('should match exact origins, ignoring case and a trailing slash', () => {
+      expect(isOriginAllowed(policy, 'https://books.example.org')).to.equal(true);
+      expect(isOriginAllowed(policy, 'https://BOOKS.example.org')).to.equal(true);
+      expect(isOriginAllowed(policy, 'http://books.example.org')).to.equal(false);
+      expect(isOriginAllowed(policy, 'https://books.example.org.evil.com')).to.equal(false);
+    });
+
+    it('should match wildcard subdomains but not the bare domain', () => {
+      expect(isOriginAllowed(policy, 'https://open.pressbooks.pub')).to.equal(true);
+      expect(isOriginAllowed(policy, 'https://a.b.pressbooks.pub')).to.equal(true);
+      expect(isOriginAllowed(policy, 'https://pressbooks.pub')).to.equal(false);
+      expect(isOriginAllowed(policy, 'https://evilpressbooks.pub')).to.equal(false);
+      expect(isOriginAllowed(policy, 'https://open.pressbooks.pub.evil.com')).to.equal(false);
+    });
+
+    it('should match regex patterns', () => {
+      expect(isOriginAllowed(policy, 'https://mybook.lndo.site:8443')).to.equal(true);
+      expect(isOriginAllowed(policy, 'http://mybook.lndo.site')).to.equal(false);
+    });
+
+    it('should match regex patterns with the g or y flag on every request', () => {
+      const sticky = createCorsPolicy(['/^https:\\/\\/books\\.example$/gi']);
+      expect(isOriginAllowed(sticky, 'https://books.example')).to.equal(true);
+      expect(isOriginAllowed(sticky, 'https://BOOKS.example')).to.equal(true);
+      expect(sticky.patterns[0].flags).to.equal('i');
+    });
+
+    it('should allow any origin for "*"', () => {
+      expect(isOriginAllowed(createCorsPolicy(['*']), 'https://anywhere.example')).to.equal(true);
+    });
+
+    it('should reject invalid regex patterns', () => {
+      expect(() => createCorsPolicy(['/([/'])).to.throw(/Invalid CORS origin pattern/);
+    });
+  });
+
+  describe('Requests', () => {
+    it('should allow configured origins and expose the alignment headers', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: 'x^2', format: 'svg' })
+        .set('Origin', 'http://localhost:5500')
+        .expect(200)
+        .expect('Access-Control-Allow-Origin', 'http://localhost:5500')
+        .expect('Access-Control-Expose-Headers', /X-Math-Vertical-Align/)
+        .end(done);
+    });
+
+    it('should allow requests without an Origin header', (done) => {
+      request(app)
+        .get('/health')
+        .expect(200, done);
+    });
+
+    it('should refuse other origins with a 403 JSON response', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: 'x^2', format: 'svg' })
+        .set('Origin', 'https://evil.example')
+        .expect(403)
+        .expect('Content-Type', /json/)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.error).to.equal('Origin not allowed');
+          expect(res.body.message).to.include('https://evil.example');
+          expect(res.headers).to.not.have.property('access-control-allow-origin');
+          done();
+        });
+    });
+
+    it('should refuse preflight requests from other origins', (done) => {
+      request(app)
+        .options('/latex')
+        .set('Origin', 'https://evil.example')
+        .set('Access-Control-Request-Method', 'POST')
+        .expect(403, done);
+    });
+
+    it('should show the effective policy on /admin/config', (done) => {
+      const adminTokens = config.admin.tokens;
+      config.admin.tokens = ['test-admin-token'];
+      request(app)
+        .get('/admin/config')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200)
+        .end((err, res) => {
+          config.admin.tokens = adminTokens;
+          if (err) return done(err);
+          expect(res.body.cors.source).to.equal('default');
+          expect(res.body.cors.exact).to.include('http://localhost:5500');
+          expect(res.body.cors).to.include.keys('wildcards', 'patterns', 'allowAnyOrigin', 'exposedHeaders');
+          done();
+        });
+    });
+  });
+});
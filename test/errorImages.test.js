@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { createErrorSvg, renderErrorImage } = require('../utils/errorImage');
+const { translateError } = require('../utils/errorMessages');
+
+const ERROR_HEADER = config.errors.httpResponseErrorHeader;
+const BAD_TEX = '\\require{nosuchpackage}x';
+
+// Collect binary bodies as Buffers
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const pngSize = png => ({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) });
+
+describe('Error Images', () => {
+  const errors = { ...config.errors };
+
+  afterEach(() => {
+    Object.assign(config.errors, errors);
+  });
+
+  describe('Format', () => {
+    it('should send a PNG when PNG was requested', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, format: 'png' })
+        .buffer(true)
+        .parse(binaryParser)
+        .expect('Content-Type', 'image/png')
+        .expect(200);
+      expect(res.headers[ERROR_HEADER]).to.equal('TeX package not allowed');
+      expect(res.body.subarray(1, 4).toString()).to.equal('PNG');
+    });
+
+    it('should send a PNG by default, like successful renders', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX })
+        .expect('Content-Type', 'image/png', done);
+    });
+
+    it('should send an SVG for other formats', (done) => {
+      request(app)
+        .get('/asciimath')
+        .query({ asciimath: '', format: 'mathml' })
+        .expect('Content-Type', /svg/, done);
+    });
+
+    it('should scale PNGs with the DPI', async () => {
+      const sizeAt = async (dpi) => {
+        const res = await request(app)
+          .get('/latex')
+          .query({ latex: BAD_TEX, format: 'png', dpi })
+          .buffer(true)
+          .parse(binaryParser);
+        return pngSize(res.body);
+      };
+      const normal = await sizeAt(config.image.defaultDpi);
+      const print = await sizeAt(config.image.defaultDpi * 4);
+      expect(print.width).to.equal(normal.width * 4);
+      expect(print.height).to.equal(normal.height * 4);
+    });
+
+    it('should draw PNG text with the bundled font, without the host\'s fonts', () => {
+      const png = (title) => renderErrorImage('png', title, { width: 200, height: 40 }).body;
+      expect(png('TeX error').equals(png(' '))).to.equal(false);
+      expect(png('TeX error').equals(png('TeX error'))).to.equal(true);
+    });
+
+    it('should use the requested size and colours', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, svg: 1, width: 120, height: 30, fg: '0000ff', bgColor: 'ffffff' });
+      const svg = res.body.toString();
+      expect(svg).to.include('width="120" height="30"');
+      expect(svg).to.include('fill="#ffffff" stroke="#0000ff"');
+      expect(svg).to.include('fill="#0000ff"');
+    });
+  });
+
+  describe('Placeholder Styles', () => {
+    it('should truncate the message in the minimal style', () => {
+      const svg = createErrorSvg('An error message that is much too long to show');
+      expect(svg).to.include('>An error message that is mu...</text>');
+    });
+
+    it('should include the explanation in the detailed style', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, svg: 1, placeholder: 'detailed' });
+      const svg = res.body.toString();
+      expect(svg).to.include('>TeX package not allowed</text>');
+      expect(svg).to.include('\\require{nosuchpackage} is not allowed (unknown)');
+    });
+
+    it('should send an empty image in the transparent style', async () => {
+      config.errors.placeholder = 'transparent';
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, svg: 1, width: 40, height: 20 });
+      const svg = res.body.toString();
+      expect(svg).to.include('width="40" height="20"');
+      expect(svg).to.not.include('<text');
+      expect(res.headers[ERROR_HEADER]).to.equal('TeX package not allowed');
+    });
+
+    it('should escape the message', () => {
+      expect(createErrorSvg('<b>&</b>')).to.include('&lt;b&gt;&amp;&lt;/b&gt;');
+    });
+  });
+
+  describe('Languages', () => {
+    it('should translate the message for the lang parameter', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, svg: 1, lang: 'de' });
+      expect(res.body.toString()).to.include('>TeX-Paket nicht erlaubt</text>');
+      expect(res.headers[ERROR_HEADER]).to.equal('TeX package not allowed');
+    });
+
+    it('should follow Accept-Language', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .set('Accept-Language', 'fr-CA, fr;q=0.9, en;q=0.5')
+        .query({ latex: BAD_TEX, svg: 1 });
+      expect(res.body.toString()).to.include('>Paquet TeX non autorisé</text>');
+    });
+
+    it('should translate speech errors', (done) => {
+      request(app)
+        .get('/speechtext')
+        .query({ lang: 'es' })
+        .expect('Error: Falta un parámetro obligatorio', done);
+    });
+
+    it('should fall back to English', () => {
+      expect(translateError('Formula too long', 'xx')).to.equal('Formula too long');
+      expect(translateError('Something new', 'de')).to.equal('Something new');
+      expect(translateError('svgFromTeX request timed out', 'fr')).to.equal('Délai de la requête dépassé');
+    });
+  });
+
+  describe('Status', () => {
+    it('should send the real status when asked to', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: BAD_TEX, svg: 1, errorStatus: 'true' })
+        .expect('Content-Type', /svg/)
+        .expect(400, done);
+    });
+
+    it('should follow the configured default', async () => {
+      config.errors.sendStatus = true;
+      await request(app).get('/latex').query({ latex: BAD_TEX }).expect('Content-Type', 'image/png').expect(400);
+      await request(app).get('/latex').query({ latex: BAD_TEX, errorStatus: 0 }).expect(200);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { mathJaxLock } = require('../utils/locks');
+const { measureTeX, measureAsciiMath, measureMathML, checkInputLimits } = require('../services/inputLimits');
+
+const ERROR_HEADER = config.errors.httpResponseErrorHeader;
+
+describe('Input Limits', () => {
+  const limits = config.limits;
+
+  beforeEach(() => {
+    config.limits = {
+      maxLength: 200,
+      maxMathMLLength: 2000,
+      maxDepth: 10,
+      maxMatrixCells: 9,
+      maxRequires: 2,
+      maxMathMLElements: 40,
+    };
+  });
+
+  after(() => {
+    config.limits = limits;
+  });
+
+  describe('Measures', () => {
+    it('should measure TeX nesting, cells and \\require calls', () => {
+      expect(measureTeX('\\frac{a}{\\sqrt{b^{2}}}')).to.include({ depth: 3, cells: 0 });
+      expect(measureTeX('\\left( \\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix} \\right)'))
+        .to.include({ depth: 3, cells: 4 });
+      expect(measureTeX('\\require{a}\\require {b}\\requirement')).to.include({ requires: 2 });
+    });
+
+    it('should not count escaped braces and ampersands', () => {
+      expect(measureTeX('\\{ a \\& b \\}')).to.include({ depth: 0, cells: 0 });
+    });
+
+    it('should measure AsciiMath brackets', () => {
+      expect(measureAsciiMath('((a+[b]) + {c})').depth).to.equal(3);
+    });
+
+    it('should measure MathML depth, cells and elements', () => {
+      const mathml = '<math><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mspace/></mtd></mtr></mtable></math>';
+      expect(measureMathML(mathml)).to.deep.equal({ depth: 5, cells: 2, elements: 7 });
+    });
+  });
+
+  describe('Rejections', () => {
+    it('should refuse formulas that are too long with a 413', () => {
+      expect(() => checkInputLimits('latex', 'x+'.repeat(101)))
+        .to.throw('Formula too long')
+        .with.property('statusCode', 413);
+    });
+
+    it('should use the MathML length limit for MathML', () => {
+      expect(() => checkInputLimits('mathml', `<math><mtext>${'x'.repeat(500)}</mtext></math>`)).to.not.throw();
+    });
+
+    it('should refuse deep nesting with a 422', () => {
+      expect(() => checkInputLimits('latex', `${'{'.repeat(11)}x${'}'.repeat(11)}`))
+        .to.throw('Formula nested too deeply')
+        .with.property('statusCode', 422);
+      expect(() => checkInputLimits('asciimath', `${'('.repeat(11)}x${')'.repeat(11)}`))
+        .to.throw('Formula nested too deeply');
+    });
+
+    it('should refuse too many matrix cells', () => {
+      const rows = Array(4).fill('a & b & c').join(' \\\\ ');
+      expect(() => checkInputLimits('latex', `\\begin{matrix} ${rows} \\end{matrix}`))
+        .to.throw('Too many matrix cells')
+        .with.property('detail', 'The formula has 12 matrix cells; the limit is 9');
+    });
+
+    it('should refuse too many \\require calls', () => {
+      expect(() => checkInputLimits('latex', '\\require{braket}\\require{physics}\\require{cancel}x'))
+        .to.throw('Too many \\require calls')
+        .with.property('statusCode', 422);
+    });
+
+    it('should refuse too many MathML elements', () => {
+      const mathml = `<math><mrow>${'<mi>x</mi>'.repeat(40)}</mrow></math>`;
+      expect(() => checkInputLimits('mathml', mathml)).to.throw('Too many MathML elements');
+    });
+  });
+
+  describe('Routes', () => {
+    const sendImageOnError = config.errors.alwaysSendImageOrSpeechOnError;
+
+    afterEach(() => {
+      config.errors.alwaysSendImageOrSpeechOnError = sendImageOnError;
+    });
+
+    it('should send the error image with the limit status and header', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: 'x+'.repeat(200), format: 'svg' })
+        .expect(413)
+        .expect('Content-Type', /svg/)
+        .expect(ERROR_HEADER, 'Formula too long', done);
+    });
+
+    it('should answer with the status when errors are sent as JSON', async () => {
+      config.errors.alwaysSendImageOrSpeechOnError = false;
+      const long = await request(app).get('/latex').query({ latex: 'x+'.repeat(200) }).expect(413);
+      expect(long.body.message).to.equal('The formula is 400 characters long; the limit is 200');
+
+      await request(app).get('/latex').query({ latex: `${'{'.repeat(20)}x${'}'.repeat(20)}` }).expect(422);
+    });
+
+    it('should check base64 formulas after decoding', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: Buffer.from('y+'.repeat(150)).toString('base64'), isBase64: 'true', format: 'svg' })
+        .expect(ERROR_HEADER, 'Formula too long', done);
+    });
+
+    it('should check the speech and batch routes too', async () => {
+      const speech = await request(app)
+        .get('/speechtext')
+        .query({ asciimath: `${'('.repeat(20)}x${')'.repeat(20)}` })
+        .expect(422);
+      expect(speech.headers[ERROR_HEADER]).to.equal('Formula nested too deeply');
+
+      const batch = await request(app)
+        .post('/batch')
+        .send({ items: [{ type: 'latex', formula: 'z+'.repeat(200), format: 'mathml' }] })
+        .expect(200);
+      expect(batch.body.results[0]).to.include({ status: 413, error: 'Formula too long' });
+    });
+
+    it('should refuse oversized input without waiting for the MathJax lock', async () => {
+      await mathJaxLock.acquire();
+      try {
+        const res = await request(app)
+          .get('/latex')
+          .query({ latex: 'w+'.repeat(200), format: 'svg' })
+          .timeout(1000);
+        expect(res.headers[ERROR_HEADER]).to.equal('Formula too long');
+      } finally {
+        mathJaxLock.release();
+      }
+    });
+  });
+});
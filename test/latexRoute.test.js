@@ -1,6 +1,7 @@
 const { expect } = require('chai');
 const request = require('supertest');
 const app = require('../app');
+const config = require('../config');
 
 const extractMessageFromSvg = (svgString) => {
   if (!svgString || typeof svgString !== 'string') {
@@ -170,11 +171,446 @@ describe('LaTeX Route Tests', () => {
     });
   });
 
+  describe('MathML Output', () => {
+    it('should return MathML when format=mathml is specified', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: validLaTeX })
+        .expect(200)
+        .expect('Content-Type', /application\/mathml\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.include('<math');
+          expect(mmlContent).to.not.include('<svg');
+          done();
+        });
+    });
+
+    it('should render inline MathML when display=0', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', display: 0, latex: validLaTeX })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.not.include('display="block"');
+          done();
+        });
+    });
+
+    it('should strip data-latex attributes by default', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: fractionLaTeX })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.include('<mfrac');
+          expect(mmlContent).to.not.include('data-latex');
+          done();
+        });
+    });
+
+    it('should keep data-latex attributes when semantics=1', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', semantics: 1, latex: fractionLaTeX })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.include('data-latex="\\frac{a}{b}"');
+          done();
+        });
+    });
+  });
+
+  describe('Alignment Metadata', () => {
+    it('should send size and vertical alignment headers with SVG', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ svg: 1, latex: '\\frac{a}{b_1}' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          const depth = parseFloat(res.headers['x-math-depth']);
+          expect(depth).to.be.greaterThan(0);
+          expect(svgContent).to.include(`vertical-align: ${-depth}ex`);
+          expect(res.headers['x-math-vertical-align']).to.equal(`${-depth}ex`);
+          expect(svgContent).to.include(`height="${res.headers['x-math-height']}ex"`);
+          // Default ex size is 8px
+          expect(parseFloat(res.headers['x-math-depth-px'])).to.be.closeTo(depth * 8, 0.01);
+          done();
+        });
+    });
+
+    it('should report the PNG pixel size and the depth at that scale', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: '\\frac{a}{b_1}' })
+        .expect(200)
+        .expect('Content-Type', 'image/png')
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(Number(res.headers['x-math-width-px'])).to.equal(res.body.readUInt32BE(16));
+          expect(Number(res.headers['x-math-height-px'])).to.equal(res.body.readUInt32BE(20));
+          const pxPerEx = res.body.readUInt32BE(20) / parseFloat(res.headers['x-math-height']);
+          expect(parseFloat(res.headers['x-math-depth-px']))
+            .to.be.closeTo(parseFloat(res.headers['x-math-depth']) * pxPerEx, 0.01);
+          done();
+        });
+    });
+
+    it('should scale the vertical alignment with the image', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'metadata', latex: '\\frac{a}{b_1}' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const base = res.body;
+          request(app)
+            .get('/latex')
+            .query({ format: 'metadata', scale: 2, latex: '\\frac{a}{b_1}' })
+            .expect(200)
+            .end((err, res) => {
+              if (err) return done(err);
+              expect(res.body.height).to.be.closeTo(base.height * 2, 0.01);
+              expect(res.body.depth).to.be.closeTo(base.depth * 2, 0.01);
+              done();
+            });
+        });
+    });
+
+    it('should return the metrics as JSON when format=metadata', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'metadata', ex: 10, latex: validLaTeX })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body).to.have.all.keys('width', 'height', 'depth', 'verticalAlign', 'px');
+          expect(res.body.px.height).to.be.closeTo(res.body.height * 10, 0.01);
+          expect(res.headers['x-math-height']).to.equal(String(res.body.height));
+          done();
+        });
+    });
+
+    it('should replay the metadata headers on a cache hit', (done) => {
+      const query = { svg: 1, latex: '\\sqrt[3]{aligned}' };
+      request(app)
+        .get('/latex')
+        .query(query)
+        .expect(200)
+        .end((err, first) => {
+          if (err) return done(err);
+          request(app)
+            .get('/latex')
+            .query(query)
+            .expect(200)
+            .expect('X-Cache', 'HIT')
+            .expect('X-Math-Depth', first.headers['x-math-depth'])
+            .expect('X-Math-Depth-Px', first.headers['x-math-depth-px'])
+            .end(done);
+        });
+    });
+  });
+
+  describe('JSON Render Bundle', () => {
+    it('should return the PNG, size, MathML and speech together when format=json', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'json', latex: 'x^2+y^2=z^2' })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const png = Buffer.from(res.body.pngBase64, 'base64');
+          expect(png[0]).to.equal(0x89);
+          expect(res.body).to.not.have.property('svg');
+          expect(res.body.px.height).to.equal(png.readUInt32BE(20));
+          expect(res.body.width).to.be.greaterThan(0);
+          expect(res.body.height).to.be.greaterThan(0);
+          expect(res.body.depth).to.be.a('number');
+          expect(res.body.mathml).to.include('<math');
+          expect(res.body.speech).to.include('squared');
+          done();
+        });
+    });
+
+    it('should embed SVG instead of PNG when image=svg', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'json', image: 'svg', latex: validLaTeX })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.svg).to.include('<svg');
+          expect(res.body).to.not.have.property('pngBase64');
+          expect(res.body.svg).to.include(`height="${res.body.height}ex"`);
+          done();
+        });
+    });
+
+    it('should use the speech engine options', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'json', image: 'svg', engine: 'sre', style: 'mathspeak', verbosity: 'brief', latex: '\\frac{a}{b}' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.speech.toLowerCase()).to.include('frac');
+          done();
+        });
+    });
+
+    it('should report invalid speech options', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'json', engine: 'nope', latex: validLaTeX })
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.headers['pb-mathjax-error']).to.equal('Invalid speech options');
+          done();
+        });
+    });
+  });
+
+  describe('Accessible Images', () => {
+    const readPngChunks = (png) => {
+      const chunks = [];
+      for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({ type: png.toString('latin1', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+      }
+      return chunks;
+    };
+
+    it('should add title, desc and ARIA labels to the SVG when a11y=1', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ svg: 1, a11y: 1, latex: 'x^2+y^2=z^2' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          const svgTag = svgContent.match(/<svg[^>]*>/)[0];
+          expect(svgTag).to.include('role="img"');
+          const titleId = svgTag.match(/aria-labelledby="([^"]+)"/)[1];
+          const descId = svgTag.match(/aria-describedby="([^"]+)"/)[1];
+          expect(svgContent).to.match(new RegExp(`<svg[^>]*><title id="${titleId}">[^<]*squared[^<]*</title>`));
+          expect(svgContent).to.include(`<desc id="${descId}">LaTeX: x^2+y^2=z^2</desc>`);
+          done();
+        });
+    });
+
+    it('should escape the formula in the description', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ svg: 1, a11y: 1, latex: 'a<b' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          expect(svgContent).to.include('LaTeX: a&lt;b</desc>');
+          done();
+        });
+    });
+
+    it('should not label the SVG by default', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ svg: 1, latex: 'x^2+y^2=z^2' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          expect(svgContent).to.not.include('<title');
+          expect(svgContent).to.not.include('aria-labelledby');
+          done();
+        });
+    });
+
+    it('should add iTXt chunks to the PNG when a11y=1', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ a11y: 1, latex: 'x^2+y^2=z^2' })
+        .expect(200)
+        .expect('Content-Type', 'image/png')
+        .end((err, res) => {
+          if (err) return done(err);
+          const chunks = readPngChunks(res.body);
+          expect(chunks[chunks.length - 1].type).to.equal('IEND');
+          const texts = chunks
+            .filter(chunk => chunk.type === 'iTXt')
+            .map(chunk => chunk.data.toString('utf8').split('\0'));
+          const title = texts.find(([keyword]) => keyword === 'Title');
+          const description = texts.find(([keyword]) => keyword === 'Description');
+          expect(title[title.length - 1]).to.include('squared');
+          expect(description[description.length - 1]).to.equal('LaTeX: x^2+y^2=z^2');
+          done();
+        });
+    });
+  });
+
+  describe('POST Requests', () => {
+    it('should accept a JSON body with the formula and options', (done) => {
+      request(app)
+        .post('/latex')
+        .send({ latex: validLaTeX, format: 'svg', fg: 'FF0000' })
+        .expect(200)
+        .expect('Content-Type', /image\/svg\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          expect(svgContent).to.include('<svg');
+          expect(svgContent).to.include('#ff0000');
+          done();
+        });
+    });
+
+    it('should accept an application/x-latex body with options in the query string', (done) => {
+      request(app)
+        .post('/latex')
+        .query({ format: 'mathml' })
+        .set('Content-Type', 'application/x-latex')
+        .send('\\frac{a}{b}')
+        .expect(200)
+        .expect('Content-Type', /application\/mathml\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.text).to.include('<mfrac>');
+          done();
+        });
+    });
+
+    it('should accept a text/plain body', (done) => {
+      request(app)
+        .post('/latex')
+        .query({ svg: 1 })
+        .set('Content-Type', 'text/plain')
+        .send('x^{post}')
+        .expect(200)
+        .expect('Content-Type', /image\/svg\+xml/)
+        .end(done);
+    });
+
+    it('should key the cache on the body and options, whatever the body type', (done) => {
+      const formula = '\\sqrt{post_{cache}}';
+      request(app)
+        .post('/latex')
+        .send({ latex: formula, format: 'mathml' })
+        .expect(200)
+        .expect('X-Cache', 'MISS')
+        .end((err) => {
+          if (err) return done(err);
+          request(app)
+            .post('/latex')
+            .query({ format: 'mathml' })
+            .set('Content-Type', 'application/x-latex')
+            .send(`${formula}\r\n`)
+            .expect(200)
+            .expect('X-Cache', 'HIT')
+            .end((err) => {
+              if (err) return done(err);
+              request(app)
+                .post('/latex')
+                .send({ latex: formula, format: 'svg' })
+                .expect(200)
+                .expect('X-Cache', 'MISS')
+                .end(done);
+            });
+        });
+    });
+
+    it('should reject unsupported content types', (done) => {
+      request(app)
+        .post('/latex')
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('x^2'))
+        .expect(415)
+        .expect('Content-Type', /json/)
+        .end(done);
+    });
+
+    it('should report a missing formula', (done) => {
+      request(app)
+        .post('/latex')
+        .send({ format: 'svg' })
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.headers['pb-mathjax-error']).to.equal('Missing required parameter(s)');
+          done();
+        });
+    });
+  });
+
+  describe('Response Cache', () => {
+    const expectCacheStatuses = (first, second, status, done) => {
+      request(app)
+        .get(`/latex?${first}`)
+        .expect(200)
+        .expect('X-Cache', 'MISS')
+        .end((err) => {
+          if (err) return done(err);
+          request(app)
+            .get(`/latex?${second}`)
+            .expect(200)
+            .expect('X-Cache', status)
+            .end(done);
+        });
+    };
+
+    it('should ignore parameter order and boolean spelling', (done) => {
+      expectCacheStatuses('latex=k_1%5E2&svg=1', 'svg=true&latex=k_1%5E2', 'HIT', done);
+    });
+
+    it('should share entries between base64 and plain formulas', (done) => {
+      const base64 = Buffer.from('k_2^2').toString('base64');
+      expectCacheStatuses(`latex=${encodeURIComponent(base64)}&isBase64=1&svg=1`, 'latex=k_2%5E2&svg=1', 'HIT', done);
+    });
+
+    it('should ignore parameters that do not affect the output', (done) => {
+      expectCacheStatuses('latex=k_3%5E2&svg=1', 'latex=k_3%5E2&svg=1&utm_source=mail&dpi=300', 'HIT', done);
+    });
+
+    it('should treat default options and equivalent colors as the same', (done) => {
+      expectCacheStatuses('latex=k_4%5E2&format=svg&fg=F00', 'latex=k_4%5E2&format=svg&fg=ff0000&display=1&scale=1', 'HIT', done);
+    });
+
+    it('should keep options that change the output apart', (done) => {
+      expectCacheStatuses('latex=k_5%5E2&svg=1', 'latex=k_5%5E2&svg=1&scale=2', 'MISS', done);
+    });
+
+    it('should share entries between GET and POST', (done) => {
+      request(app)
+        .post('/latex')
+        .send({ latex: 'k_6^2', format: 'mathml' })
+        .expect(200)
+        .expect('X-Cache', 'MISS')
+        .end((err) => {
+          if (err) return done(err);
+          request(app)
+            .get('/latex')
+            .query({ latex: 'k_6^2', format: 'mathml' })
+            .expect(200)
+            .expect('X-Cache', 'HIT')
+            .end(done);
+        });
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return 400 for missing LaTeX', (done) => {
       request(app)
         .get('/latex')
-        .query({})
+        .query({ svg: 1 })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -191,7 +627,7 @@ describe('LaTeX Route Tests', () => {
     it('should return 400 for empty LaTeX', (done) => {
       request(app)
         .get('/latex')
-        .query({ latex: '' })
+        .query({ svg: 1, latex: '' })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -223,6 +659,25 @@ describe('LaTeX Route Tests', () => {
         .end(done);
     });
 
+    it('should return 400 for an unknown format', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: validLaTeX, format: 'gif' })
+        .expect(400)
+        .expect('pb-mathjax-error', 'Invalid output format')
+        .expect('Content-Type', 'image/png', done);
+    });
+
+    it('should report an unknown format as JSON with errors=json', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: validLaTeX, format: 'gif', errors: 'json' })
+        .expect(400, {
+          error: 'Invalid output format',
+          message: 'format must be one of: png, svg, mathml, metadata, json',
+        }, done);
+    });
+
     it('should return an image for invalid LaTeX syntax', (done) => {
       request(app)
         .get('/latex')
@@ -312,7 +767,7 @@ describe('LaTeX Route Tests', () => {
     it('should return 400 for invalid base64', (done) => {
       request(app)
         .get('/latex')
-        .query({ latex: 'invalid_base64!@#', isBase64: 'true' })
+        .query({ svg: 1, latex: 'invalid_base64!@#', isBase64: 'true' })
         .expect(200)
         .expect(200)
         .expect('Content-Type', /svg/)
@@ -328,6 +783,72 @@ describe('LaTeX Route Tests', () => {
     });
   });
 
+  describe('Warm MathJax Instances', () => {
+    const adminTokens = config.admin.tokens;
+    before(() => {
+      config.admin.tokens = ['test-admin-token'];
+    });
+    after(() => {
+      config.admin.tokens = adminTokens;
+    });
+
+    it('should keep a MathJax instance per \\require signature and report it in /admin/health', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: '\\require{braket}\\bra{\\phi}' })
+        .expect(200)
+        .end((err) => {
+          if (err) return done(err);
+          request(app)
+            .get('/latex')
+            .query({ format: 'mathml', latex: 'x + warm' })
+            .expect(200)
+            .end((err) => {
+              if (err) return done(err);
+              request(app)
+                .get('/admin/health')
+                .set('Authorization', 'Bearer test-admin-token')
+                .expect(200)
+                .end((err, res) => {
+                  if (err) return done(err);
+                  const [instances] = res.body.mathJax.instances;
+                  const signatures = instances.warm.map(i => i.signature);
+                  expect(signatures).to.include.members(['default', 'braket']);
+                  expect(instances.current).to.equal('default');
+                  done();
+                });
+            });
+        });
+    }).timeout(10000);
+
+    it('should switch back to a warm instance without reconfiguring', (done) => {
+      request(app)
+        .get('/admin/health')
+        .set('Authorization', 'Bearer test-admin-token')
+        .end((err, res) => {
+          if (err) return done(err);
+          const before = res.body.mathJax.instances[0].reconfigurations;
+          request(app)
+            .get('/latex')
+            .query({ format: 'mathml', latex: '\\require{braket}\\ket{\\psi}' })
+            .expect(200)
+            .end((err, res) => {
+              if (err) return done(err);
+              expect(res.text || res.body.toString()).to.not.include('mathcolor="red"');
+              request(app)
+                .get('/admin/health')
+                .set('Authorization', 'Bearer test-admin-token')
+                .end((err, res) => {
+                  if (err) return done(err);
+                  expect(res.body.mathJax.instances[0].reconfigurations).to.equal(before);
+                  expect(res.body.mathJax.instances[0].current).to.equal('braket');
+                  done();
+                });
+            });
+        });
+    });
+  });
+
   describe('Performance and Limits', () => {
     it('should handle complex LaTeX expressions', (done) => {
       const complexLaTeX = '\\int_{-\\infty}^{\\infty} \\frac{1}{\\sqrt{2\\pi\\sigma^2}} e^{-\\frac{(x-\\mu)^2}{2\\sigma^2}} dx = 1';
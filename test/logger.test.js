@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { logger, formatFormula, runWithRequestId } = require('../utils/logger');
+
+/**
+ * Capture what the logger writes while `fn` runs, with the given log settings
+ * @returns {Promise<Object[]>} The JSON log entries
+ */
+const captureLogs = async (settings, fn) => {
+  const saved = { ...config.log };
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const lines = [];
+  const capture = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+
+  Object.assign(config.log, { format: 'json' }, settings);
+  process.stdout.write = capture;
+  process.stderr.write = capture;
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+    Object.assign(config.log, saved);
+  }
+  return lines
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line));
+};
+
+describe('Logging', () => {
+  describe('Request IDs', () => {
+    it('should assign a request ID and return it in X-Request-Id', (done) => {
+      request(app)
+        .get('/health')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.headers['x-request-id']).to.match(/^[0-9a-f-]{36}$/);
+          done();
+        });
+    });
+
+    it('should honour an incoming X-Request-Id', (done) => {
+      request(app)
+        .get('/health')
+        .set('X-Request-Id', 'edge-42.abc')
+        .expect('X-Request-Id', 'edge-42.abc')
+        .expect(200, done);
+    });
+
+    it('should replace an X-Request-Id that is not a plain token', (done) => {
+      request(app)
+        .get('/health')
+        .set('X-Request-Id', 'bad id {"json":1}')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.headers['x-request-id']).to.not.include('bad');
+          done();
+        });
+    });
+
+    it('should tag conversion logs and the request summary with the request ID', async () => {
+      const entries = await captureLogs({ level: 'debug' }, () =>
+        request(app).get('/latex').query({ latex: 'r_1^2', format: 'mathml' }).set('X-Request-Id', 'req-log-1')
+      );
+
+      const formula = entries.find(e => e.msg === 'Processed formula');
+      expect(formula.requestId).to.equal('req-log-1');
+
+      const summary = entries.find(e => e.msg === 'request');
+      expect(summary).to.include({ requestId: 'req-log-1', method: 'GET', path: '/latex', status: 200 });
+      expect(summary.durationMs).to.be.a('number');
+      expect(JSON.stringify(summary)).to.not.include('r_1');
+    });
+
+    it('should keep the request ID across POST body parsing', async () => {
+      const entries = await captureLogs({ level: 'debug' }, () =>
+        request(app).post('/latex').send({ latex: 'r_2^2', format: 'mathml' }).set('X-Request-Id', 'req-log-2')
+      );
+      expect(entries.find(e => e.msg === 'Processed formula').requestId).to.equal('req-log-2');
+    });
+  });
+
+  describe('Logger', () => {
+    it('should write one JSON object per entry, filtered by level', async () => {
+      const entries = await captureLogs({ level: 'warn' }, async () => {
+        runWithRequestId('job-1', () => logger.warn('Slow render', { durationMs: 12 }));
+        logger.info('Not shown');
+        logger.error('Failed', { error: new Error('boom') });
+      });
+
+      expect(entries).to.have.length(2);
+      expect(entries[0]).to.include({ level: 'warn', msg: 'Slow render', requestId: 'job-1', durationMs: 12 });
+      expect(entries[0].time).to.match(/^\d{4}-\d\d-\d\dT/);
+      expect(entries[1].error.message).to.equal('boom');
+      expect(entries[1]).to.not.have.property('requestId');
+    });
+
+    it('should log formulas in full, truncated or redacted', () => {
+      const saved = { ...config.log };
+      const formula = '\\frac{a}{b} + ' + 'x'.repeat(100);
+      try {
+        config.log.formulas = 'full';
+        expect(formatFormula(formula)).to.equal(formula);
+
+        Object.assign(config.log, { formulas: 'truncate', formulaMaxLength: 10 });
+        expect(formatFormula(formula)).to.equal(`\\frac{a}{b... [${formula.length} chars]`);
+        expect(formatFormula('x^2')).to.equal('x^2');
+
+        config.log.formulas = 'redact';
+        const redacted = formatFormula(formula);
+        expect(redacted).to.match(/^\[redacted 114 chars sha256:[0-9a-f]{12}\]$/);
+        expect(redacted).to.not.include('frac');
+        expect(formatFormula(formula)).to.equal(redacted);
+      } finally {
+        Object.assign(config.log, saved);
+      }
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const config = require('../config');
+const { MathJaxPool, runMathJax } = require('../services/mathJaxPool');
+
+describe('MathJax Worker Pool', function () {
+  this.timeout(60000); // each worker boots its own MathJax instance
+
+  let pool;
+
+  afterEach(async () => {
+    if (pool) await pool.destroy();
+    pool = null;
+  });
+
+  it('should convert TeX to SVG on a worker thread', async () => {
+    pool = new MathJaxPool(1, 10000);
+    const svg = await pool.run('svgFromTeX', ['x^2', { display: true }, '000000']);
+    expect(svg).to.include('<svg');
+  });
+
+  it('should run queued tasks on every worker', async () => {
+    pool = new MathJaxPool(2, 10000);
+    const results = await Promise.all(
+      ['a', 'b', 'c', 'd'].map(x => pool.run('mmlFromTeX', [x]))
+    );
+    results.forEach((mml, i) => expect(mml).to.include(`<mi>${'abcd'[i]}</mi>`));
+    expect(pool.getStats()).to.include({ size: 2, queued: 0, busy: 0 });
+  });
+
+  it('should reject unknown methods', async () => {
+    pool = new MathJaxPool(1, 10000);
+    try {
+      await pool.run('process.exit', []);
+      expect.fail('expected the task to be rejected');
+    } catch (error) {
+      expect(error.message).to.include('Unknown MathJax method');
+    }
+  });
+
+  it('should recycle a worker that times out', async () => {
+    pool = new MathJaxPool(1, 10000);
+    await pool.run('mmlFromTeX', ['x']); // wait for the worker to be ready
+    pool.timeoutMs = 1;
+    try {
+      await pool.run('svgFromTeX', ['\\int_0^1 x\\,dx', { display: true }, '000000']);
+      expect.fail('expected the task to time out');
+    } catch (error) {
+      expect(error.statusCode).to.equal(504);
+      expect(error.message).to.equal('svgFromTeX request timed out');
+    }
+    expect(pool.getStats().restarts).to.equal(1);
+
+    pool.timeoutMs = 10000;
+    const mml = await pool.run('mmlFromTeX', ['y']);
+    expect(mml).to.include('<mi>y</mi>');
+  });
+
+  describe('Workers that fail to start', () => {
+    let dir;
+
+    // Write a worker entry point to a temporary file
+    const script = (name, source) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, source);
+      return file;
+    };
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mathjax-pool-'));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should time out tasks that are still queued', async () => {
+      // Never reports ready
+      pool = new MathJaxPool(1, 50, script('stalled.js', 'setInterval(() => {}, 1000);'));
+      try {
+        await pool.run('mmlFromTeX', ['x']);
+        expect.fail('expected the task to time out');
+      } catch (error) {
+        expect(error.statusCode).to.equal(504);
+        expect(error.message).to.equal('mmlFromTeX request timed out');
+      }
+      expect(pool.getStats().queued).to.equal(0);
+    });
+
+    it('should fail queued tasks when no worker can start', async () => {
+      pool = new MathJaxPool(2, 10000, script('failing.js', 'process.exit(1);'));
+      try {
+        await pool.run('mmlFromTeX', ['x']);
+        expect.fail('expected the task to fail');
+      } catch (error) {
+        expect(error.statusCode).to.equal(503);
+        expect(error.message).to.equal('MathJax unavailable');
+      }
+      expect(pool.getStats()).to.include({ queued: 0, startupFailures: 2 });
+    });
+
+    it('should restart workers that failed to start', async () => {
+      const marker = path.join(dir, 'started-once');
+      const worker = require.resolve('../services/mathJaxWorker');
+      pool = new MathJaxPool(1, 10000, script('flaky.js', `
+        const fs = require('fs');
+        if (!fs.existsSync(${JSON.stringify(marker)})) {
+          fs.writeFileSync(${JSON.stringify(marker)}, '');
+          process.exit(1);
+        }
+        require(${JSON.stringify(worker)});
+      `));
+      try {
+        await pool.run('mmlFromTeX', ['x']);
+        expect.fail('expected the task to fail');
+      } catch (error) {
+        expect(error.statusCode).to.equal(503);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 600)); // first restart is after 500ms
+      const mml = await pool.run('mmlFromTeX', ['y']);
+      expect(mml).to.include('<mi>y</mi>');
+      expect(pool.getStats()).to.include({ startupFailures: 0, restarts: 0 });
+    });
+  });
+
+  describe('runMathJax', () => {
+    const limits = config.limits;
+
+    afterEach(() => {
+      config.limits = limits;
+    });
+
+    it('should hold validateTeX to the input limits', async () => {
+      config.limits = { ...limits, maxDepth: 2 };
+      try {
+        await runMathJax('validateTeX', ['{{{x}}}', {}]);
+        expect.fail('expected the formula to be refused');
+      } catch (error) {
+        expect(error.statusCode).to.equal(422);
+      }
+    });
+
+    it('should leave refused packages for validateTeX to report', async () => {
+      const parse = await runMathJax('validateTeX', ['\\require{nosuchpackage}x', {}]);
+      expect(parse.error).to.not.equal(null);
+    });
+
+    it('should refuse packages the policy refuses for the converters', async () => {
+      try {
+        await runMathJax('mmlFromTeX', ['\\require{nosuchpackage}x']);
+        expect.fail('expected the formula to be refused');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('TeX package not allowed');
+      }
+    });
+
+    it('should reject unknown methods', async () => {
+      try {
+        await runMathJax('process.exit', []);
+        expect.fail('expected the call to be rejected');
+      } catch (error) {
+        expect(error.message).to.include('Unknown MathJax method');
+      }
+    });
+  });
+});
@@ -168,11 +168,77 @@ describe('MathML Route Tests', () => {
     });
   });
 
+  describe('MathML Output', () => {
+    it('should return MathML when format=mathml is specified', (done) => {
+      request(app)
+        .get('/mathml')
+        .query({ format: 'mathml', mathml: validMathML })
+        .expect(200)
+        .expect('Content-Type', /application\/mathml\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.include('<math');
+          expect(mmlContent).to.not.include('<svg');
+          done();
+        });
+    });
+
+    it('should render inline MathML when display=0', (done) => {
+      request(app)
+        .get('/mathml')
+        .query({ format: 'mathml', display: 0, mathml: validMathML })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const mmlContent = res.text || res.body.toString();
+          expect(mmlContent).to.not.include('display="block"');
+          done();
+        });
+    });
+
+    it('should prefer format=svg over the svg flag', (done) => {
+      request(app)
+        .get('/mathml')
+        .query({ format: 'svg', svg: 0, mathml: validMathML })
+        .expect(200)
+        .expect('Content-Type', /svg/)
+        .end(done);
+    });
+  });
+
+  describe('POST Requests', () => {
+    it('should accept an application/mathml+xml body', (done) => {
+      request(app)
+        .post('/mathml')
+        .query({ svg: 1 })
+        .set('Content-Type', 'application/mathml+xml')
+        .send(complexMathML)
+        .expect(200)
+        .expect('Content-Type', /image\/svg\+xml/)
+        .end((err, res) => {
+          if (err) return done(err);
+          const svgContent = res.text || res.body.toString();
+          expect(svgContent).to.include('<svg');
+          done();
+        });
+    });
+
+    it('should accept a JSON body', (done) => {
+      request(app)
+        .post('/mathml')
+        .send({ mathml: validMathML })
+        .expect(200)
+        .expect('Content-Type', 'image/png')
+        .end(done);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return 400 for missing MathML', (done) => {
       request(app)
         .get('/mathml')
-        .query({})
+        .query({ svg: 1 })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -189,7 +255,7 @@ describe('MathML Route Tests', () => {
     it('should return 400 for empty MathML', (done) => {
       request(app)
         .get('/mathml')
-        .query({ mathml: '' })
+        .query({ svg: 1, mathml: '' })
         .expect(200)
         .expect('Content-Type', /svg/)
         .end((err, res) => {
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+
+const TOKEN = 'metrics-test-token';
+
+/**
+ * Parse the exposition format into { 'name{labels}': value }
+ */
+const parseMetrics = (text) => {
+  const samples = {};
+  text.split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .forEach((line) => {
+      const space = line.lastIndexOf(' ');
+      samples[line.slice(0, space)] = Number(line.slice(space + 1));
+    });
+  return samples;
+};
+
+const scrape = async () => parseMetrics((await request(app).get('/metrics').auth(TOKEN, { type: 'bearer' }).expect(200)).text);
+
+describe('Metrics Route Tests', () => {
+  const admin = config.admin;
+
+  beforeEach(() => {
+    config.admin = { ...admin, tokens: [TOKEN], publicMetrics: false };
+  });
+
+  after(() => {
+    config.admin = admin;
+  });
+
+  it('should need an admin token', async () => {
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('X-Admin-Key', 'wrong').expect(401);
+    await request(app).get('/metrics').set('X-Admin-Key', TOKEN).expect(200);
+  });
+
+  it('should serve anyone with METRICS_PUBLIC', async () => {
+    config.admin.publicMetrics = true;
+    await request(app).get('/metrics').expect(200);
+  });
+
+  it('should serve the Prometheus text format', (done) => {
+    request(app)
+      .get('/metrics')
+      .auth(TOKEN, { type: 'bearer' })
+      .expect(200)
+      .expect('Content-Type', /text\/plain/)
+      .expect('Content-Type', /version=0\.0\.4/)
+      .end((err, res) => {
+        if (err) return done(err);
+        expect(res.text).to.include('# TYPE pb_math_http_requests_total counter');
+        expect(res.text).to.include('# TYPE pb_math_http_request_duration_seconds histogram');
+        expect(res.text).to.include('# TYPE pb_math_mathjax_reconfigurations_total counter');
+        expect(res.text).to.include('pb_math_lock_queue_depth{lock="mathJax"}');
+        expect(res.text).to.include('pb_math_lock_queue_depth{lock="imageConverter"}');
+        expect(res.text).to.include('pb_math_cache_evictions_total{tier="memory"}');
+        done();
+      });
+  });
+
+  it('should count requests and their latency by route and output format', async () => {
+    const key = 'pb_math_http_requests_total{route="/asciimath",format="mathml",status="200"}';
+    const before = await scrape();
+    await request(app).get('/asciimath').query({ asciimath: 'm_1/2', format: 'mathml' }).expect(200);
+    await request(app).post('/asciimath').send({ asciimath: 'm_1/2', format: 'mathml' }).expect(200);
+    const after = await scrape();
+
+    expect(after[key] - (before[key] || 0)).to.equal(2);
+    const count = 'pb_math_http_request_duration_seconds_count{route="/asciimath",format="mathml"}';
+    expect(after[count] - (before[count] || 0)).to.equal(2);
+    expect(after['pb_math_http_request_duration_seconds_bucket{route="/asciimath",format="mathml",le="+Inf"}'])
+      .to.equal(after[count]);
+  });
+
+  it('should count cache hits and misses', async () => {
+    const before = await scrape();
+    await request(app).get('/latex').query({ latex: 'm_2^2', format: 'svg' }).expect('X-Cache', 'MISS');
+    await request(app).get('/latex').query({ latex: 'm_2^2', format: 'svg' }).expect('X-Cache', 'HIT');
+    const after = await scrape();
+
+    expect(after['pb_math_cache_misses_total'] - (before['pb_math_cache_misses_total'] || 0)).to.equal(1);
+    const hits = 'pb_math_cache_hits_total{tier="memory"}';
+    expect(after[hits] - (before[hits] || 0)).to.equal(1);
+  });
+
+  it('should count errors by type', async () => {
+    const key = 'pb_math_errors_total{type="Endpoint not found",status="404"}';
+    const before = await scrape();
+    await request(app).get('/no-such-route').expect(404);
+    const after = await scrape();
+
+    expect(after[key] - (before[key] || 0)).to.equal(1);
+    expect(after['pb_math_http_requests_total{route="other",format="",status="404"}']).to.be.at.least(1);
+  });
+
+  it('should render histograms with cumulative buckets and escaped labels', async () => {
+    const histogram = metrics.histogram('test_histogram_seconds', 'Test histogram', { buckets: [0.1, 1] });
+    histogram.observe({ name: 'a"b' }, 0.05);
+    histogram.observe({ name: 'a"b' }, 0.5);
+    histogram.observe({ name: 'a"b' }, 5);
+
+    const text = await metrics.renderMetrics();
+    expect(text).to.include('test_histogram_seconds_bucket{name="a\\"b",le="0.1"} 1');
+    expect(text).to.include('test_histogram_seconds_bucket{name="a\\"b",le="1"} 2');
+    expect(text).to.include('test_histogram_seconds_bucket{name="a\\"b",le="+Inf"} 3');
+    expect(text).to.include('test_histogram_seconds_count{name="a\\"b"} 3');
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { TokenBucket, getUsage, resetRateLimits } = require('../middleware/rateLimit');
+
+describe('Rate Limits', () => {
+  const saved = { rateLimit: { ...config.rateLimit }, adminTokens: config.admin.tokens, trustProxy: app.get('trust proxy') };
+
+  // Unique formulas, so every request is a render
+  let counter = 0;
+  const render = (ip) => request(app)
+    .get('/latex')
+    .query({ latex: `q_{${counter++}}`, format: 'mathml' })
+    .set('X-Forwarded-For', ip || '203.0.113.1');
+
+  before(() => {
+    config.admin.tokens = ['test-admin-token'];
+    // Give each test its own client addresses through X-Forwarded-For
+    app.set('trust proxy', true);
+  });
+
+  beforeEach(() => {
+    resetRateLimits();
+    Object.assign(config.rateLimit, {
+      enabled: true,
+      requireApiKey: false,
+      anonymous: { rate: 0.001, burst: 2, dailyRenders: 100 },
+      keyed: { rate: 0.001, burst: 3, dailyRenders: 100 },
+      keys: [{ name: 'books', key: 'k-books' }, { name: 'big', key: 'k-big', burst: 10 }],
+    });
+  });
+
+  after(() => {
+    Object.assign(config.rateLimit, saved.rateLimit);
+    config.admin.tokens = saved.adminTokens;
+    app.set('trust proxy', saved.trustProxy);
+    resetRateLimits();
+  });
+
+  describe('Token Bucket', () => {
+    it('should allow a burst, then refill at the configured rate', () => {
+      const bucket = new TokenBucket(2, 2);
+      const start = bucket.updated;
+      expect(bucket.take(start)).to.equal(0);
+      expect(bucket.take(start)).to.equal(0);
+      expect(bucket.take(start)).to.equal(1);
+      expect(bucket.take(start + 500)).to.equal(0);
+    });
+  });
+
+  describe('Anonymous Tier', () => {
+    it('should answer 429 with Retry-After once the burst is used up', async () => {
+      await render().expect(200);
+      await render().expect(200);
+      const res = await render().expect(429);
+      expect(res.body.error).to.equal('Too many requests');
+      expect(Number(res.headers['retry-after'])).to.be.above(0);
+    });
+
+    it('should limit each IP separately', async () => {
+      await render('203.0.113.2').expect(200);
+      await render('203.0.113.2').expect(200);
+      await render('203.0.113.2').expect(429);
+      await render('203.0.113.3').expect(200);
+    });
+
+    it('should refuse anonymous requests when API keys are required', async () => {
+      config.rateLimit.requireApiKey = true;
+      const res = await render().expect(401);
+      expect(res.body.error).to.equal('API key required');
+      await render().set('X-API-Key', 'k-books').expect(200);
+    });
+
+    it('should not limit routes outside the conversion API', async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app).get('/health').set('X-Forwarded-For', '203.0.113.4').expect(200);
+      }
+    });
+  });
+
+  describe('API Keys', () => {
+    it('should limit per key, apart from the anonymous tier', async () => {
+      await render().expect(200);
+      await render().expect(200);
+      await render().expect(429);
+
+      for (let i = 0; i < 3; i++) {
+        await render().set('X-API-Key', 'k-books').expect(200);
+      }
+      await render().set('X-API-Key', 'k-books').expect(429);
+    });
+
+    it('should apply per-key overrides', async () => {
+      for (let i = 0; i < 5; i++) {
+        await render().set('X-API-Key', 'k-big').expect(200);
+      }
+    });
+
+    it('should accept the key as the api_key parameter', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: 'q^2', format: 'mathml', api_key: 'k-books' })
+        .expect(200, done);
+    });
+
+    it('should refuse unknown keys', async () => {
+      const res = await render().set('X-API-Key', 'nope').expect(401);
+      expect(res.body.error).to.equal('Invalid API key');
+    });
+  });
+
+  describe('Daily Render Quota', () => {
+    it('should refuse requests once the day\'s renders are used up', async () => {
+      Object.assign(config.rateLimit.keyed, { burst: 100, dailyRenders: 2 });
+      await render().set('X-API-Key', 'k-books').expect(200);
+      await render().set('X-API-Key', 'k-books').expect(200);
+
+      const res = await render().set('X-API-Key', 'k-books').expect(429);
+      expect(res.body.message).to.match(/Daily quota of 2/);
+      const retryAfter = Number(res.headers['retry-after']);
+      expect(retryAfter).to.be.above(0);
+      expect(retryAfter).to.be.at.most(24 * 60 * 60);
+    });
+
+    it('should not count cache hits as renders', async () => {
+      Object.assign(config.rateLimit.keyed, { burst: 100, dailyRenders: 1 });
+      const cached = () => request(app)
+        .get('/latex')
+        .query({ latex: 'q_{cached}', format: 'mathml' })
+        .set('X-API-Key', 'k-books');
+      await cached().expect(200);
+      resetRateLimits();
+      await cached().expect('X-Cache', 'HIT');
+      await cached().expect('X-Cache', 'HIT');
+    });
+
+    it('should not count error responses as renders', async () => {
+      Object.assign(config.rateLimit.keyed, { burst: 100, dailyRenders: 1 });
+      const failing = (query) => request(app).get('/latex').query({ format: 'mathml', errors: 'json', ...query }).set('X-API-Key', 'k-books');
+      await failing({}).expect(400);
+      await failing({ latex: '!!!', isBase64: 1 }).expect(400);
+      await failing({ latex: '\\require{nosuchpackage} x' }).expect(400);
+
+      expect(getUsage({ client: 'key:books' })[0]).to.include({ requests: 3, renders: 0, reserved: 0 });
+      await render().set('X-API-Key', 'k-books').expect(200);
+    });
+
+    it('should not let concurrent requests overrun the quota', async () => {
+      Object.assign(config.rateLimit.keyed, { burst: 100, dailyRenders: 2 });
+      const responses = await Promise.all([1, 2, 3, 4].map(() => render().set('X-API-Key', 'k-books')));
+      expect(responses.map(res => res.status).sort()).to.deep.equal([200, 200, 429, 429]);
+      expect(getUsage({ client: 'key:books' })[0]).to.include({ renders: 2, reserved: 0 });
+    });
+
+    it('should stop a batch at the quota and refund what it did not render', async () => {
+      Object.assign(config.rateLimit.keyed, { burst: 100, dailyRenders: 4 });
+      await render().set('X-API-Key', 'k-books').expect(200);
+
+      const items = [0, 1, 2, 3, 4].map(i => ({ type: 'latex', formula: `q_{batch${counter}+${i}}`, format: 'mathml' }));
+      const res = await request(app).post('/batch').set('X-API-Key', 'k-books').send(items).expect(200);
+      expect(res.body.results.map(r => r.status)).to.deep.equal([200, 200, 200, 429, 429]);
+      expect(res.body.results[3].message).to.match(/Daily quota of 4/);
+      expect(getUsage({ client: 'key:books' })[0]).to.include({ renders: 4, reserved: 0 });
+      await render().set('X-API-Key', 'k-books').expect(429);
+    });
+  });
+
+  describe('Usage Reporting', () => {
+    it('should report usage per client through the admin API', async () => {
+      await render().set('X-API-Key', 'k-books').expect(200);
+      await render('203.0.113.9').expect(200);
+
+      const res = await request(app)
+        .get('/admin/usage')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200);
+
+      const books = res.body.clients.find(c => c.client === 'key:books');
+      expect(books).to.include({ tier: 'keyed', requests: 1, renders: 1, limited: 0 });
+      const anonymous = res.body.clients.find(c => c.client === 'ip:203.0.113.9');
+      expect(anonymous).to.include({ tier: 'anonymous', requests: 1, renders: 1 });
+    });
+
+    it('should not show API keys in the config dump', async () => {
+      const res = await request(app)
+        .get('/admin/config')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200);
+      expect(res.body.rateLimit.keys.map(k => k.name)).to.deep.equal(['books', 'big']);
+      expect(JSON.stringify(res.body)).to.not.include('k-books');
+    });
+  });
+});
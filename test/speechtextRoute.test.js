@@ -1,19 +1,13 @@
 const { expect } = require('chai');
 const request = require('supertest');
 const app = require('../app');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { isMathCATAvailable } = require('../services/speechGenerators');
 
-const extractMessageFromSvg = (svgString) => {
-  if (!svgString || typeof svgString !== 'string') {
-    throw new Error('Invalid SVG string');
-  }
-  
-  const match = svgString.match(/<text[^>]*>([\s\S]*?)<\/text>/);
-  
-  if (!match) {
-    throw new Error('No text element found in SVG');
-  }
-  
-  return match[1].trim();
+// The MathCAT binding is only built for some platforms; SRE runs everywhere
+function requireMathCAT() {
+  if (!isMathCATAvailable()) this.skip();
 }
 
 describe('Speech Text Route Tests', () => {
@@ -25,6 +19,8 @@ describe('Speech Text Route Tests', () => {
 
   describe('LaTeX Input', () => {
     describe('MathCAT Engine', () => {
+      before(requireMathCAT);
+
       it('should generate speech from LaTeX with default settings', (done) => {
         request(app)
           .get('/speechtext')
@@ -146,6 +142,8 @@ describe('Speech Text Route Tests', () => {
 
   describe('AsciiMath Input', () => {
     describe('MathCAT Engine', () => {
+      before(requireMathCAT);
+
       it('should generate speech from AsciiMath with default settings', (done) => {
         request(app)
           .get('/speechtext')
@@ -203,6 +201,8 @@ describe('Speech Text Route Tests', () => {
 
   describe('MathML Input', () => {
     describe('MathCAT Engine', () => {
+      before(requireMathCAT);
+
       it('should generate speech from MathML with default settings', (done) => {
         request(app)
           .get('/speechtext')
@@ -341,7 +341,78 @@ describe('Speech Text Route Tests', () => {
     });
   });
 
+  describe('POST Requests', () => {
+    it('should generate speech from a JSON body', (done) => {
+      request(app)
+        .post('/speechtext')
+        .send({ latex: validLaTeX, engine: 'sre', style: 'MathSpeak', verbosity: 'Brief' })
+        .expect(200)
+        .expect('Content-Type', /text/)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.text.toLowerCase()).to.include('x squared');
+          done();
+        });
+    });
+
+    it('should generate speech from an application/mathml+xml body', (done) => {
+      request(app)
+        .post('/speechtext')
+        .set('Content-Type', 'application/mathml+xml')
+        .send(validMathML)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.text).to.include('x squared');
+          done();
+        });
+    });
+
+    it('should read a text/plain body as the input named by the input parameter', (done) => {
+      request(app)
+        .post('/speechtext')
+        .query({ input: 'asciimath', engine: 'sre' })
+        .set('Content-Type', 'text/plain')
+        .send(fractionAsciiMath)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.text.toLowerCase()).to.include('a over b');
+          done();
+        });
+    });
+  });
+
+  describe('Response Cache', () => {
+    it('should share entries between default and explicit speech options', function (done) {
+      requireMathCAT.call(this);
+      request(app)
+        .get('/speechtext')
+        .query({ latex: 'q_1^2' })
+        .expect(200)
+        .expect('X-Cache', 'MISS')
+        .end((err) => {
+          if (err) return done(err);
+          request(app)
+            .get('/speechtext')
+            .query({ engine: 'MathCAT', style: 'clearspeak', latex: 'q_1^2' })
+            .expect(200)
+            .expect('X-Cache', 'HIT')
+            .end(done);
+        });
+    });
+  });
+
   describe('Error Handling', () => {
+    it('should answer 503 for engine=mathcat where MathCAT is not built', async function () {
+      if (isMathCATAvailable()) this.skip();
+      const res = await request(app)
+        .get('/speechtext')
+        .query({ latex: validLaTeX, engine: 'mathcat', errorStatus: 'true' })
+        .expect(503);
+      expect(res.text).to.include('MathCAT unavailable');
+    });
+
     it('should return 400 for missing math input', (done) => {
       request(app)
         .get('/speechtext')
@@ -437,7 +508,8 @@ describe('Speech Text Route Tests', () => {
         });
     });
 
-    it('should return 400 for multiple math inputs', (done) => {
+    it('should return 400 for multiple math inputs', function (done) {
+      requireMathCAT.call(this);
       request(app)
         .get('/speechtext')
         .query({ 
@@ -458,7 +530,8 @@ describe('Speech Text Route Tests', () => {
   });
 
   describe('Complex Mathematical Expressions', () => {
-    it('should handle integrals with MathCAT', (done) => {
+    it('should handle integrals with MathCAT', function (done) {
+      requireMathCAT.call(this);
       const integral = '\\int_{0}^{\\infty} e^{-x^2} dx';
       request(app)
         .get('/speechtext')
@@ -651,4 +724,37 @@ describe('Speech Text Route Tests', () => {
         .end(done);
     });
   });
+
+  describe('Timeouts', () => {
+    const speechModule = require.resolve('../services/speechGenerators');
+    const sreModule = require.resolve('speech-rule-engine');
+    const saved = { speech: require.cache[speechModule], sre: require.cache[sreModule], timeout: config.speech.timeout };
+
+    after(() => {
+      require.cache[speechModule] = saved.speech;
+      require.cache[sreModule] = saved.sre;
+      config.speech.timeout = saved.timeout;
+    });
+
+    it('should answer a 504 for speech that runs past the timeout, and count it', async () => {
+      // An SRE that never finishes setting up, in a fresh copy of the speech service
+      require.cache[sreModule] = {
+        ...saved.sre,
+        exports: { engineReady: async () => {}, setupEngine: () => new Promise(() => {}), toSpeech: () => '' },
+      };
+      delete require.cache[speechModule];
+      const { generateSpeechText } = require(speechModule);
+      config.speech.timeout = 20;
+
+      const before = metrics.timeouts.get({ operation: 'SRE.toSpeech' });
+      let error;
+      try {
+        await generateSpeechText(validMathML, { engine: 'sre', style: 'ClearSpeak', verbosity: 'Auto', lang: 'en' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.include({ statusCode: 504, message: 'SRE.toSpeech request timed out' });
+      expect(metrics.timeouts.get({ operation: 'SRE.toSpeech' })).to.equal(before + 1);
+    });
+  });
 });
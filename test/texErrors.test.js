@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { getErrorFormat } = require('../utils/sendErrorHandler');
+
+const ERROR_HEADER = config.errors.httpResponseErrorHeader;
+
+describe('TeX Errors', () => {
+  const errorFormat = config.errors.format;
+
+  afterEach(() => {
+    config.errors.format = errorFormat;
+  });
+
+  describe('errors=json', () => {
+    it('should report an undefined macro with its position', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: 'x^{\\foo}', format: 'svg', errors: 'json' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(res.body).to.deep.equal({
+        error: 'TeX error',
+        message: 'Undefined control sequence \\foo',
+        code: 'UndefinedControlSequence',
+        macro: '\\foo',
+        offset: 3,
+      });
+    });
+
+    it('should give offsets in the original input for inline math', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: 'a + \\sqrt{\\frac{b}}', format: 'svg', display: 'false', errors: 'json' })
+        .expect(400);
+      expect(res.body).to.include({ code: 'MissingArgFor', macro: '\\frac', offset: 10 });
+    });
+
+    it('should report errors without a macro', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: 'a_b_c', format: 'mathml', errors: 'json' })
+        .expect(400);
+      expect(res.body).to.include({ code: 'DoubleSubscripts', macro: null, offset: 4 });
+      expect(res.body.message).to.equal('Double subscripts: use braces to clarify');
+    });
+
+    it('should not cache error responses or reuse images cached without errors=json', async () => {
+      await request(app).get('/latex').query({ latex: '\\frac{c}', format: 'svg' }).expect(200);
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: '\\frac{c}', format: 'svg', errors: 'json' })
+        .expect(400);
+      expect(res.headers['cache-control']).to.include('no-store');
+    });
+
+    it('should render valid TeX as usual', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ latex: 'x^2', format: 'svg', errors: 'json' })
+        .expect('Content-Type', /svg/)
+        .expect(200, done);
+    });
+
+    it('should send other errors as JSON with their status', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: '\\require{nosuchpackage}x', errors: 'json' })
+        .expect(400);
+      expect(res.body.error).to.equal('TeX package not allowed');
+      expect(res.body).to.not.have.property('code');
+    });
+
+    it('should add the error details to batch items', async () => {
+      const res = await request(app)
+        .post('/batch')
+        .send({ items: [{ type: 'latex', formula: '1+\\bar', format: 'svg', options: { errors: 'json' } }] })
+        .expect(200);
+      expect(res.body.results[0]).to.include({ status: 400, code: 'MissingArgFor', macro: '\\bar', offset: 2 });
+    });
+  });
+
+  describe('Default', () => {
+    it('should render TeX errors into the image', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: 'y^{\\foo}', format: 'svg' })
+        .expect(200);
+      expect(res.headers[ERROR_HEADER]).to.equal(undefined);
+      expect(res.body.toString()).to.include('<svg');
+    });
+
+    it('should follow the configured error format', async () => {
+      config.errors.format = 'json';
+      expect(getErrorFormat({})).to.equal('json');
+      expect(getErrorFormat({ errors: 'image' })).to.equal('image');
+      await request(app).get('/latex').query({ latex: 'z^{\\foo}', format: 'mathml' }).expect(400);
+    });
+  });
+});
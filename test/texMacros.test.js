@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { parsePreamble } = require('../services/texMacros');
+const { getMathJaxInstances } = require('../services/mathJaxConverters');
+
+describe('TeX Macros', () => {
+  const macroSets = config.tex.macroSets;
+
+  beforeEach(() => {
+    config.tex.macroSets = {
+      calculus: { version: '1', macros: { R: '\\mathbb{R}', norm: ['\\left\\lVert #1 \\right\\rVert', 1] } },
+    };
+  });
+
+  after(() => {
+    config.tex.macroSets = macroSets;
+  });
+
+  describe('Preambles', () => {
+    it('should read \\newcommand, \\renewcommand, \\def and \\DeclareMathOperator', () => {
+      const preamble = [
+        '\\newcommand{\\R}{\\mathbb{R}} % the reals',
+        '\\newcommand\\pow[2][x]{#1^{#2}}',
+        '\\def\\pair#1#2{(#1, #2)}',
+        '\\DeclareMathOperator*{\\argmax}{arg\\,max}',
+        '\\renewcommand{\\vec}[1]{\\mathbf{#1}}',
+      ].join('\n');
+      expect(parsePreamble(preamble)).to.deep.equal({
+        R: '\\mathbb{R}',
+        pow: ['#1^{#2}', 2, 'x'],
+        pair: ['(#1, #2)', 2],
+        argmax: '\\operatorname*{arg\\,max}',
+        vec: ['\\mathbf{#1}', 1],
+      });
+    });
+
+    it('should refuse anything but definitions', () => {
+      expect(() => parsePreamble('\\newcommand{\\R}{\\mathbb{R}} x^2'))
+        .to.throw('Invalid preamble')
+        .with.property('detail').that.includes("found 'x^2' at offset 28");
+      expect(() => parsePreamble('\\newcommand{\\R}{\\mathbb{R}')).to.throw('Invalid preamble');
+      expect(() => parsePreamble('\\newcommand{\\f}[x]{#1}')).to.throw('Invalid preamble');
+    });
+  });
+
+  describe('Routes', () => {
+    it('should render with a named macro set', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: '\\R + \\norm{v}', macros: 'calculus', format: 'mathml' })
+        .expect(200);
+      expect(res.text).to.include('<mi mathvariant="double-struck">R</mi>');
+      expect(res.text).to.include('&#x2016;');
+    });
+
+    it('should render with a preamble, overriding the set', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: '\\R', macros: 'calculus', preamble: '\\newcommand{\\R}{\\mathbf{R}}', format: 'mathml' })
+        .expect(200);
+      expect(res.text).to.include('<mi mathvariant="bold">R</mi>');
+    });
+
+    it('should apply preambles per request, without booting a MathJax instance for each', async () => {
+      const render = (latex, preamble) => request(app)
+        .get('/latex')
+        .query({ latex, macros: 'calculus', format: 'mathml', errors: 'json', ...(preamble && { preamble }) });
+      await render('\\R^3').expect(200);
+      const before = getMathJaxInstances().reconfigurations;
+
+      for (const font of ['mathbf', 'mathsf', 'mathit', 'mathrm']) {
+        const res = await render('\\R^3 + \\F', `\\newcommand{\\R}{\\${font}{R}}\\newcommand{\\F}{F}`).expect(200);
+        expect(res.text).to.not.include('double-struck');
+      }
+      expect(getMathJaxInstances().reconfigurations).to.equal(before);
+
+      const set = await render('\\R^4').expect(200);
+      expect(set.text).to.include('<mi mathvariant="double-struck">R</mi>');
+      const leaked = await render('\\R^4 + \\F').expect(400);
+      expect(leaked.body).to.include({ code: 'UndefinedControlSequence', macro: '\\F' });
+    });
+
+    it('should reject unknown sets and refused preambles', async () => {
+      const unknown = await request(app)
+        .get('/latex')
+        .query({ latex: '\\R', macros: 'algebra', format: 'mathml', errors: 'json' })
+        .expect(400);
+      expect(unknown.body).to.deep.equal({ error: 'Unknown macro set', message: 'macros must be one of: calculus' });
+
+      const refused = await request(app)
+        .get('/latex')
+        .query({ latex: 'x', preamble: '\\newcommand{\\p}{\\require{nosuchpackage}}', format: 'mathml', errors: 'json' })
+        .expect(400);
+      expect(refused.body.error).to.equal('TeX package not allowed');
+    });
+
+    it('should not reuse renders made with an older version of the set', async () => {
+      const query = { latex: '\\R^2', macros: 'calculus', format: 'mathml' };
+      await request(app).get('/latex').query(query).expect('X-Cache', 'MISS');
+      await request(app).get('/latex').query(query).expect('X-Cache', 'HIT');
+
+      config.tex.macroSets.calculus = { version: '2', macros: { R: '\\mathbf{R}' } };
+      const res = await request(app).get('/latex').query(query).expect('X-Cache', 'MISS');
+      expect(res.text).to.include('<mi mathvariant="bold">R</mi>');
+    });
+
+    it('should apply to speech text and validation', async () => {
+      await request(app)
+        .get('/speechtext')
+        .query({ latex: '\\norm{v}', macros: 'calculus', errors: 'json' })
+        .expect(200);
+
+      const res = await request(app).get('/validate').query({ latex: '\\R + \\nrom{v}', macros: 'calculus' });
+      expect(res.body.problems).to.have.length(1);
+      expect(res.body.problems[0]).to.include({ macro: '\\nrom', fix: 'Did you mean \\norm?' });
+    });
+
+    it('should list the macro sets', async () => {
+      const res = await request(app).get('/packages').expect(200);
+      expect(res.body.macroSets).to.deep.equal({ calculus: { version: '1', macros: ['\\R', '\\norm'] } });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { getMathJaxInstances } = require('../services/mathJaxConverters');
+const { checkTeX, extractRequiredPackages } = require('../services/texPolicy');
+
+const ERROR_HEADER = config.errors.httpResponseErrorHeader;
+
+describe('TeX Package Policy', () => {
+  const tex = config.tex;
+
+  beforeEach(() => {
+    config.tex = { ...tex, packages: { allow: [], deny: [] }, safeMode: true };
+  });
+
+  after(() => {
+    config.tex = tex;
+  });
+
+  describe('Required Packages', () => {
+    it('should find packages with or without spaces and the [tex]/ prefix', () => {
+      expect(extractRequiredPackages('\\require {physics}\\require{[tex]/braket}\\require{physics}'))
+        .to.deep.equal(['braket', 'physics']);
+    });
+
+    it('should render allowed packages', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: '\\require{physics}\\abs{x}' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.headers[ERROR_HEADER]).to.equal(undefined);
+          expect(res.text).to.include('<mo data-mjx-texclass="OPEN">|</mo>');
+          done();
+        });
+    });
+
+    it('should refuse unknown packages without reconfiguring MathJax', async () => {
+      const before = getMathJaxInstances().reconfigurations;
+      const res = await request(app)
+        .get('/latex')
+        .query({ format: 'svg', latex: '\\require{nosuchpackage}x' })
+        .expect(200);
+      expect(res.headers[ERROR_HEADER]).to.equal('TeX package not allowed');
+      expect(getMathJaxInstances().reconfigurations).to.equal(before);
+    });
+
+    it('should name the package in the error', () => {
+      expect(() => checkTeX('\\require{nosuchpackage}x'))
+        .to.throw('TeX package not allowed')
+        .with.property('detail').that.includes('\\require{nosuchpackage} is not allowed (unknown)');
+    });
+
+    it('should refuse packages that change the TeX configuration', () => {
+      expect(() => checkTeX('\\require{setoptions}')).to.throw().with.property('detail').that.includes('internal');
+    });
+
+    it('should only allow listed packages when there is an allowlist', () => {
+      config.tex.packages.allow = ['braket'];
+      expect(() => checkTeX('\\require{braket}\\bra{x}')).to.not.throw();
+      expect(() => checkTeX('\\require{physics}')).to.throw().with.property('detail').that.includes('not allowed');
+    });
+
+    it('should refuse denied packages', () => {
+      config.tex.packages.deny = ['physics'];
+      expect(() => checkTeX('\\require{physics}')).to.throw().with.property('detail').that.includes('denied');
+    });
+
+    it('should refuse packages required from inside macros', (done) => {
+      request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: '\\def\\r{\\require}\\r{nosuchpackage}x' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.text).to.include('is not allowed to be loaded');
+          done();
+        });
+    });
+
+    it('should check TeX on the speech and batch routes too', async () => {
+      const speech = await request(app)
+        .get('/speechtext')
+        .query({ latex: '\\require{nosuchpackage}x' })
+        .expect(200);
+      expect(speech.headers[ERROR_HEADER]).to.equal('TeX package not allowed');
+
+      const batch = await request(app)
+        .post('/batch')
+        .send({ items: [{ type: 'latex', formula: '\\require{nosuchpackage}x', format: 'mathml' }] })
+        .expect(200);
+      expect(batch.body.results[0]).to.include({ status: 400, error: 'TeX package not allowed' });
+    });
+  });
+
+  describe('Safe Mode', () => {
+    ['\\href{https://example.com}{x}', '\\class{big}{x}', '\\style{color:red}{x}', '\\cssId{a}{x}', '\\data{a=1}{x}']
+      .forEach((latex) => {
+        it(`should refuse ${latex.slice(0, latex.indexOf('{'))}`, (done) => {
+          request(app)
+            .get('/latex')
+            .query({ format: 'svg', latex })
+            .expect(200)
+            .expect(ERROR_HEADER, 'TeX macro not allowed', done);
+        });
+      });
+
+    it('should drop \\unicode font names that reach it through another macro', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ format: 'mathml', latex: '\\let\\u\\unicode \\u[Comic Sans MS]{65}' })
+        .expect(200);
+      expect(res.text).to.include('<mtext>A</mtext>');
+      expect(res.text).to.not.include('Comic Sans MS');
+    });
+
+    it('should not load the html package for macro set aliases', async () => {
+      config.tex.macroSets = { web: { version: '1', macros: { link: ['\\href{#1}{#2}', 2] } } };
+      const res = await request(app)
+        .get('/latex')
+        .query({ format: 'mathml', macros: 'web', latex: '\\link{https://example.com}{x}' })
+        .expect(200);
+      expect(res.text).to.include('<merror');
+      expect(res.text).to.not.include('href="https://example.com"');
+    });
+
+    it('should refuse the html and texhtml packages', () => {
+      expect(() => checkTeX('\\require{html}')).to.throw().with.property('detail').that.includes('safe mode');
+      expect(() => checkTeX('\\require{texhtml}')).to.throw().with.property('detail').that.includes('safe mode');
+    });
+
+    it('should refuse \\unicode font names but allow sizes', () => {
+      expect(() => checkTeX('\\unicode[Comic Sans]{65}')).to.throw('TeX macro not allowed');
+      expect(() => checkTeX('\\unicode[0.8,0.2][serif]{65}')).to.throw('TeX macro not allowed');
+      expect(() => checkTeX('\\unicode[0.8, 0.2]{65}')).to.not.throw();
+      expect(() => checkTeX('\\unicode{x263A}')).to.not.throw();
+    });
+
+    it('should not mistake longer macro names for HTML macros', () => {
+      expect(() => checkTeX('\\displaystyle\\classical')).to.not.throw();
+    });
+
+    it('should allow everything when turned off', () => {
+      config.tex.safeMode = false;
+      expect(() => checkTeX('\\href{https://example.com}{x}\\unicode[Arial]{65}\\require{html}')).to.not.throw();
+    });
+  });
+
+  describe('/packages', () => {
+    it('should list the default, allowed and refused packages', (done) => {
+      config.tex.packages.deny = ['physics'];
+      request(app)
+        .get('/packages')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.safeMode).to.equal(true);
+          expect(res.body.defaults).to.include('color').and.not.include('html');
+          expect(res.body.allowed).to.include('braket').and.not.include('physics');
+          expect(res.body.refused).to.include({ physics: 'denied', html: 'safe mode', require: 'internal' });
+          done();
+        });
+    });
+  });
+});
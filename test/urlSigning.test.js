@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { canonicalQuery, signParams, signBody, signUrl, verifySignature } = require('../utils/urlSigning');
+
+const SECRET = 'test-signing-secret';
+const OLD_SECRET = 'previous-secret';
+
+// Path and query of a signed URL, for supertest
+const signedPath = (path, options) => {
+  const url = new URL(signUrl(`http://localhost${path}`, SECRET, options));
+  return url.pathname + url.search;
+};
+
+describe('Signed URLs', () => {
+  const signing = config.signing;
+
+  before(() => {
+    config.signing = { secrets: [SECRET, OLD_SECRET], routes: ['latex', 'speechtext', 'validate', 'batch'] };
+  });
+
+  after(() => {
+    config.signing = signing;
+  });
+
+  describe('Helper', () => {
+    it('should build the canonical query from sorted parameters without sig', () => {
+      expect(canonicalQuery({ latex: 'x^2', format: 'svg', sig: 'abc', expires: '100' }))
+        .to.equal('expires=100&format=svg&latex=x%5E2');
+    });
+
+    it('should keep repeated parameters in order', () => {
+      expect(canonicalQuery({ b: ['2', '1'], a: 'x y' })).to.equal('a=x%20y&b=2&b=1');
+    });
+
+    it('should percent-encode per RFC 3986', () => {
+      expect(canonicalQuery({ latex: "f(x)!*'~" })).to.equal('latex=f%28x%29%21%2A%27~');
+    });
+
+    it('should add expires and sig to a URL', () => {
+      const url = new URL(signUrl('https://math.example.org/latex?latex=x%5E2', SECRET, { expires: 2000000000 }));
+      expect(url.searchParams.get('latex')).to.equal('x^2');
+      expect(url.searchParams.get('expires')).to.equal('2000000000');
+      expect(url.searchParams.get('sig')).to.match(/^[\w-]{43}$/);
+    });
+
+    it('should sign the route path without the proxy prefix', () => {
+      const url = new URL(signUrl('https://example.org/math/latex?latex=y', SECRET, { prefix: '/math' }));
+      const params = Object.fromEntries(url.searchParams);
+      expect(verifySignature('/latex', params, [SECRET]).valid).to.equal(true);
+    });
+
+    it('should report expiry only for genuine signatures', () => {
+      const params = signParams('/latex', { latex: 'z' }, SECRET, { expires: 1000 });
+      expect(verifySignature('/latex', params, [SECRET]).reason).to.equal('expired');
+      expect(verifySignature('/latex', { ...params, latex: 'w' }, [SECRET]).reason).to.equal('invalid');
+      expect(verifySignature('/mathml', params, [SECRET]).reason).to.equal('invalid');
+    });
+
+    it('should sign a body with the route and expiry', () => {
+      const body = '[{"type":"latex","formula":"x"}]';
+      const params = signBody('/batch', body, SECRET, { expires: 2000000000 });
+      expect(Object.keys(params)).to.deep.equal(['expires', 'sig']);
+      expect(verifySignature('/batch', params, [SECRET], { body }).valid).to.equal(true);
+      expect(verifySignature('/batch', params, [SECRET], { body: body.replace('x', 'y') }).reason).to.equal('invalid');
+      expect(verifySignature('/batch', params, [SECRET]).reason).to.equal('invalid');
+    });
+  });
+
+  describe('Enforcement', () => {
+    it('should refuse unsigned requests before rendering', async () => {
+      const res = await request(app)
+        .get('/latex')
+        .query({ latex: 'x^{unsigned}', format: 'svg' })
+        .expect(401);
+      expect(res.body.error).to.equal('Signature required');
+      expect(res.headers['x-cache']).to.equal(undefined);
+    });
+
+    it('should serve signed requests', (done) => {
+      request(app)
+        .get(signedPath('/latex?latex=x%5E%7Bsigned%7D&format=svg'))
+        .expect('Content-Type', /svg/)
+        .expect(200, done);
+    });
+
+    it('should accept signatures made with an older secret', (done) => {
+      const params = signParams('/latex', { latex: 'x^{old}', format: 'mathml' }, OLD_SECRET);
+      request(app)
+        .get('/latex')
+        .query(params)
+        .expect(200, done);
+    });
+
+    it('should refuse tampered parameters', async () => {
+      const path = signedPath('/latex?latex=x%5E2&format=svg').replace('x%5E2', 'x%5E3');
+      const res = await request(app).get(path).expect(403);
+      expect(res.body.error).to.equal('Invalid signature');
+    });
+
+    it('should refuse parameters added after signing', (done) => {
+      request(app)
+        .get(`${signedPath('/latex?latex=x%5E2')}&format=png`)
+        .expect(403, done);
+    });
+
+    it('should refuse expired URLs', async () => {
+      const res = await request(app)
+        .get(signedPath('/latex?latex=x%5E2', { expires: Math.floor(Date.now() / 1000) - 60 }))
+        .expect(403);
+      expect(res.body.error).to.equal('Signature expired');
+    });
+
+    it('should check POST bodies like query strings', async () => {
+      const params = signParams('/latex', { latex: 'x^{post}', format: 'svg' }, SECRET);
+      await request(app).post('/latex').send(params).expect(200);
+      await request(app).post('/latex').send({ ...params, latex: 'x^{other}' }).expect(403);
+    });
+
+    it('should not let a signature move to another route', (done) => {
+      const params = signParams('/latex', { latex: 'x^2' }, SECRET);
+      request(app)
+        .get('/speechtext')
+        .query(params)
+        .expect(403, done);
+    });
+
+    it('should enforce signing whatever the case of the route', (done) => {
+      request(app)
+        .get('/LaTeX')
+        .query({ latex: 'x^2' })
+        .expect(401, done);
+    });
+
+    it('should refuse unsigned and tampered batches', async () => {
+      const body = JSON.stringify([{ type: 'latex', formula: 'x^{batch}', format: 'mathml' }]);
+      const unsigned = await request(app)
+        .post('/batch')
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(401);
+      expect(unsigned.body.error).to.equal('Signature required');
+
+      const params = signBody('/batch', body, SECRET);
+      await request(app)
+        .post('/batch')
+        .query(params)
+        .set('Content-Type', 'application/json')
+        .send(body.replace('batch', 'other'))
+        .expect(403);
+
+      const res = await request(app)
+        .post('/batch')
+        .query(params)
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(200);
+      expect(res.body.summary).to.include({ succeeded: 1 });
+    });
+
+    it('should check signatures on /validate', async () => {
+      await request(app).get('/validate').query({ latex: 'x' }).expect(401);
+      await request(app).get('/validate').query(signParams('/validate', { latex: 'x' }, SECRET)).expect(200);
+    });
+
+    it('should leave other routes and paths open', async () => {
+      await request(app).get('/mathml').query({ mathml: '<math><mi>x</mi></math>', format: 'svg' }).expect(200);
+      await request(app).get('/speechtext/options').expect(200);
+    });
+  });
+});
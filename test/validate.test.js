@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config');
+const { validateTeX } = require('../services/texValidator');
+
+describe('Validate Route', () => {
+  const tex = config.tex;
+
+  beforeEach(() => {
+    config.tex = { ...tex, packages: { allow: [], deny: [] }, safeMode: false };
+  });
+
+  after(() => {
+    config.tex = tex;
+  });
+
+  describe('GET /validate', () => {
+    it('should accept valid TeX', (done) => {
+      request(app)
+        .get('/validate')
+        .query({ latex: '\\frac{a}{b} + \\sqrt{x}' })
+        .expect('Content-Type', /json/)
+        .expect('Cache-Control', 'no-store')
+        .expect(200, { valid: true, problems: [] }, done);
+    });
+
+    it('should suggest close macros for unknown ones', async () => {
+      const res = await request(app).get('/validate').query({ latex: 'x + \\fracc{a}{b}' }).expect(200);
+      expect(res.body.valid).to.equal(false);
+      expect(res.body.problems).to.have.length(1);
+      expect(res.body.problems[0]).to.include({
+        severity: 'error',
+        code: 'UndefinedControlSequence',
+        macro: '\\fracc',
+        offset: 4,
+        fix: 'Did you mean \\frac?',
+      });
+      expect(res.body.problems[0].suggestions).to.include('\\dfrac');
+    });
+
+    it('should name the package an undefined macro needs', async () => {
+      const res = await request(app).get('/validate').query({ latex: '\\abs{x} + \\abs{y}' });
+      expect(res.body.problems).to.deep.equal([{
+        severity: 'error',
+        code: 'PackageRequired',
+        message: '\\abs needs the physics package',
+        macro: '\\abs',
+        offset: 0,
+        fix: 'Add \\require{physics} at the start of the formula',
+      }]);
+
+      const required = await request(app).get('/validate').query({ latex: '\\require{physics}\\abs{x}' });
+      expect(required.body.valid).to.equal(true);
+    });
+
+    it('should say when the package a macro needs is refused', async () => {
+      config.tex.packages.deny = ['physics'];
+      const res = await request(app).get('/validate').query({ latex: '\\abs{x}' });
+      expect(res.body.problems[0].message).to.equal('\\abs needs the physics package, which is not allowed (denied)');
+    });
+
+    it('should suggest environments for unknown ones', async () => {
+      const res = await request(app).get('/validate').query({ latex: '\\begin{pmatrx} a \\end{pmatrx}' });
+      expect(res.body.problems[0]).to.include({ code: 'UnknownEnv', fix: 'Did you mean pmatrix?' });
+    });
+
+    it('should report refused packages, with the v3 names of v2 ones', async () => {
+      const res = await request(app)
+        .get('/validate')
+        .query({ latex: '\\require{AMSmath}\\require{phsyics}\\require{AMScd}x' });
+      expect(res.body.problems.map(({ offset, fix }) => ({ offset, fix }))).to.deep.equal([
+        { offset: 0, fix: 'The ams package is loaded by default; remove the \\require' },
+        { offset: 17, fix: 'Use \\require{physics}' },
+        { offset: 34, fix: 'The amscd package is loaded by default; remove the \\require' },
+      ]);
+    });
+
+    it('should find every unbalanced brace', async () => {
+      const res = await request(app).get('/validate').query({ latex: 'a} + \\{ {b' });
+      expect(res.body.problems.map(({ code, offset }) => ({ code, offset }))).to.deep.equal([
+        { code: 'ExtraCloseBrace', offset: 1 },
+        { code: 'MissingCloseBrace', offset: 8 },
+      ]);
+    });
+
+    it('should warn about the MathJax v2 \\color', async () => {
+      const res = await request(app).get('/validate').query({ latex: '\\color{red}{x} + y' });
+      expect(res.body.valid).to.equal(true);
+      expect(res.body.problems[0]).to.include({ severity: 'warning', code: 'DeprecatedColor', offset: 0 });
+
+      const v2 = await request(app).get('/validate').query({ latex: '\\require{colorv2}\\color{red}{x}' });
+      expect(v2.body.problems).to.deep.equal([]);
+    });
+
+    it('should report parse errors with a fix', async () => {
+      const res = await request(app).get('/validate').query({ latex: 'x_a_b' });
+      expect(res.body.problems[0]).to.include({
+        code: 'DoubleSubscripts',
+        offset: 4,
+        fix: 'Group the subscripts with braces, e.g. x_{a_b} or {x_a}_b',
+      });
+    });
+
+    it('should report macros safe mode refuses', async () => {
+      config.tex.safeMode = true;
+      const res = await request(app).get('/validate').query({ latex: 'a + \\href{https://example.com}{b}' });
+      expect(res.body.problems).to.have.length(1);
+      expect(res.body.problems[0]).to.include({ code: 'MacroNotAllowed', macro: '\\href', offset: 4 });
+    });
+  });
+
+  describe('Errors', () => {
+    it('should require the latex parameter', (done) => {
+      request(app)
+        .get('/validate')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+    });
+
+    it('should answer with the status of input limit errors', async () => {
+      const res = await request(app)
+        .post('/validate')
+        .send({ latex: 'x+'.repeat(config.limits.maxLength) })
+        .expect(413);
+      expect(res.body.error).to.equal('Formula too long');
+    });
+
+    it('should take the formula as a raw POST body', async () => {
+      const res = await request(app)
+        .post('/validate')
+        .set('Content-Type', 'application/x-latex')
+        .send('\\frac{a}')
+        .expect(200);
+      expect(res.body.problems[0]).to.include({ code: 'MissingArgFor', macro: '\\frac' });
+    });
+  });
+
+  describe('validateTeX', () => {
+    it('should leave out what MathJax reports again', async () => {
+      const { problems } = await validateTeX('\\frac{a}{b');
+      expect(problems.map(({ code }) => code)).to.deep.equal(['MissingCloseBrace']);
+    });
+
+    it('should keep different problems at the same offset, source checks first', async () => {
+      const { problems } = await validateTeX('\\begin{pmatrx}\\require{phsyics}x');
+      expect(problems.map(({ code, offset }) => ({ code, offset }))).to.deep.equal([
+        { code: 'PackageNotAllowed', offset: 14 },
+        { code: 'UnknownEnv', offset: 14 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// Error images for the image routes, in the format the client asked for: SVG,
+// or PNG rendered from the SVG with resvg. Error PNGs are rendered here rather
+// than with services/imageConverter, which needs no fonts for MathJax's
+// path-only SVGs, while error messages are text.
+const path = require("path");
+const { Resvg } = require("@resvg/resvg-js");
+const config = require("../config");
+
+// Error PNGs are drawn in DejaVu Sans, shipped with the service, rather than
+// whatever the host has installed: they come out the same on every host, and
+// resvg doesn't scan the system fonts for each one
+const FONT_DIR = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+const PNG_FONTS = {
+  fontFiles: ["DejaVuSans.ttf", "DejaVuSans-Bold.ttf"].map((file) => path.join(FONT_DIR, file)),
+  loadSystemFonts: false,
+  defaultFontFamily: "DejaVu Sans",
+  sansSerifFamily: "DejaVu Sans",
+};
+
+const PLACEHOLDER_STYLES = ["minimal", "detailed", "transparent"];
+
+const FONT_SIZE = 14;
+const DETAIL_FONT_SIZE = 12;
+const PADDING = 3;
+// Average character width is roughly 0.6 * fontSize for most fonts
+const CHAR_WIDTH = 0.6;
+const MIN_WIDTH = 100;
+const MIN_HEIGHT = 40;
+const MAX_SIZE = 2000;
+// Largest side of an error PNG, whatever the DPI
+const MAX_PNG_SIZE = 4000;
+const MAX_DETAIL_LINES = 6;
+const DETAIL_LINE_LENGTH = 60;
+
+const ERROR_COLOR = "FF0000";
+const ERROR_BACKGROUND = "FFFF00";
+
+// Escape XML special characters
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;");
+
+const truncate = (text, length) =>
+  text.length > length ? text.substring(0, Math.max(1, length - 3)) + "..." : text;
+
+/**
+ * A hex colour from a request parameter, or the fallback if it isn't one
+ */
+const toColor = (value, fallback) => {
+  const hex = String(value || "").replace(/^#/, "");
+  return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? `#${hex}` : `#${fallback}`;
+};
+
+/**
+ * A size in pixels from a request parameter, or undefined if it isn't one
+ */
+const toSize = (value) => {
+  const size = Math.round(Number(value));
+  return Number.isFinite(size) && size > 0 ? Math.min(size, MAX_SIZE) : undefined;
+};
+
+/**
+ * Break a message into lines of at most `length` characters, at spaces where possible
+ */
+const wrap = (text, length) => {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    for (let part = word; part; part = part.slice(length)) {
+      const piece = part.slice(0, length);
+      if (line && line.length + 1 + piece.length > length) {
+        lines.push(line);
+        line = "";
+      }
+      line = line ? `${line} ${piece}` : piece;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Create an SVG image displaying an error message.
+ * - minimal: the title, truncated to fit (30 characters unless a width is given),
+ *   in red on yellow
+ * - detailed: the full title with the longer explanation below it
+ * - transparent: an empty image (1x1 unless a size is given), to keep the page layout
+ * The image is sized to fit the text unless a width and/or height is given.
+ * @param {string} title - The error title
+ * @param {Object} [options={}]
+ * @param {string} [options.style="minimal"] - One of PLACEHOLDER_STYLES
+ * @param {string} [options.detail] - Longer explanation, for the detailed style
+ * @param {number} [options.width] - Width in pixels
+ * @param {number} [options.height] - Height in pixels
+ * @param {string} [options.fg] - Text and border colour as hex (default: red)
+ * @param {string} [options.bg] - Background colour as hex (default: yellow)
+ * @returns {string} SVG markup
+ */
+const createErrorSvg = (title, options = {}) => layoutErrorSvg(title, options).svg;
+
+/**
+ * createErrorSvg, also returning the image size
+ * @returns {{svg: string, width: number, height: number}}
+ */
+function layoutErrorSvg(title, options) {
+  const style = PLACEHOLDER_STYLES.includes(options.style) ? options.style : "minimal";
+  const width = toSize(options.width);
+  const height = toSize(options.height);
+
+  if (style === "transparent") {
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width || 1}" height="${height || 1}" xmlns="http://www.w3.org/2000/svg"/>`;
+    return { svg, width: width || 1, height: height || 1 };
+  }
+
+  const fg = toColor(options.fg, ERROR_COLOR);
+  const bg = toColor(options.bg, ERROR_BACKGROUND);
+
+  const fitChars = (fontSize) => Math.floor((width - PADDING * 2) / (fontSize * CHAR_WIDTH));
+  const lines = [];
+  if (style === "detailed") {
+    const length = width ? fitChars(DETAIL_FONT_SIZE) : DETAIL_LINE_LENGTH;
+    lines.push({ text: width ? truncate(title, fitChars(FONT_SIZE)) : title, fontSize: FONT_SIZE, bold: true });
+    const detail = wrap(options.detail || "", Math.max(1, length));
+    if (detail.length > MAX_DETAIL_LINES) {
+      detail.length = MAX_DETAIL_LINES;
+      detail[MAX_DETAIL_LINES - 1] = truncate(`${detail[MAX_DETAIL_LINES - 1]} ...`, length);
+    }
+    detail.forEach((text) => lines.push({ text, fontSize: DETAIL_FONT_SIZE }));
+  } else {
+    lines.push({ text: truncate(title, width ? fitChars(FONT_SIZE) : 30), fontSize: FONT_SIZE, bold: true });
+  }
+
+  // Estimate text dimensions (rough approximation)
+  const textWidth = Math.max(...lines.map(line => line.text.length * line.fontSize * CHAR_WIDTH));
+  const lineHeights = lines.map(line => Math.round(line.fontSize * 1.4));
+  const textHeight = lineHeights.reduce((sum, lineHeight) => sum + lineHeight, 0);
+
+  const svgWidth = width || Math.max(MIN_WIDTH, Math.ceil(textWidth + PADDING * 2));
+  const svgHeight = height || Math.max(MIN_HEIGHT, textHeight + PADDING * 2);
+
+  // Centre the block of lines vertically
+  let y = (svgHeight - textHeight) / 2;
+  const text = lines.map((line, i) => {
+    const baseline = y + lineHeights[i] / 2;
+    y += lineHeights[i];
+    return `  <text x="50%" y="${baseline}" dominant-baseline="central" text-anchor="middle" fill="${fg}" ` +
+      `font-family="sans-serif" font-size="${line.fontSize}"${line.bold ? ' font-weight="bold"' : ""}>` +
+      `${escapeXml(line.text)}</text>`;
+  }).join("\n");
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${bg}" stroke="${fg}" stroke-width="2"/>
+${text}
+</svg>`;
+  return { svg, width: svgWidth, height: svgHeight };
+}
+
+/**
+ * Render an error image as SVG or PNG.
+ * PNGs are scaled by the requested DPI against config.image.defaultDpi, so at the
+ * default DPI they have the same pixel size as the SVG (and never more than
+ * MAX_PNG_SIZE pixels a side).
+ * @param {string} format - 'png' or 'svg'
+ * @param {string} title - The error title
+ * @param {Object} [options={}] - createErrorSvg options, plus `dpi` for PNG
+ * @returns {{contentType: string, body: string|Buffer}}
+ */
+function renderErrorImage(format, title, options = {}) {
+  const { svg, width, height } = layoutErrorSvg(title, options);
+  if (format !== "png") {
+    return { contentType: "image/svg+xml", body: svg };
+  }
+
+  const dpi = Number(options.dpi) || config.image.defaultDpi;
+  const scale = Math.min(Math.max(dpi, config.image.minDpi), config.image.maxDpi) / config.image.defaultDpi;
+  const zoom = Math.min(scale, MAX_PNG_SIZE / Math.max(width, height));
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "zoom", value: zoom },
+    font: PNG_FONTS,
+  });
+  return { contentType: "image/png", body: resvg.render().asPng() };
+}
+
+module.exports = {
+  PLACEHOLDER_STYLES,
+  createErrorSvg,
+  renderErrorImage,
+};
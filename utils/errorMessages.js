@@ -0,0 +1,102 @@
+// Translations of the error titles shown in error images and speech text.
+// Titles without a translation are shown in English; the error header and JSON
+// responses always carry the English title.
+
+const TRANSLATIONS = {
+  de: {
+    "Error": "Fehler",
+    "Error processing math": "Fehler bei der Formelverarbeitung",
+    "Internal server error": "Interner Serverfehler",
+    "Request timed out": "Zeitüberschreitung der Anfrage",
+    "Missing required parameter": "Erforderlicher Parameter fehlt",
+    "Missing required parameter(s)": "Erforderliche Parameter fehlen",
+    "Formula is required": "Formel erforderlich",
+    "Invalid base64 string": "Ungültige Base64-Zeichenkette",
+    "Formula too long": "Formel zu lang",
+    "Formula nested too deeply": "Formel zu tief verschachtelt",
+    "Too many matrix cells": "Zu viele Matrixzellen",
+    "TeX error": "TeX-Fehler",
+    "TeX package not allowed": "TeX-Paket nicht erlaubt",
+    "TeX macro not allowed": "TeX-Makro nicht erlaubt",
+    "Invalid preamble": "Ungültige Präambel",
+    "Unknown macro set": "Unbekannter Makrosatz",
+    "Too many requests": "Zu viele Anfragen",
+  },
+  es: {
+    "Error": "Error",
+    "Error processing math": "Error al procesar la fórmula",
+    "Internal server error": "Error interno del servidor",
+    "Request timed out": "Tiempo de espera agotado",
+    "Missing required parameter": "Falta un parámetro obligatorio",
+    "Missing required parameter(s)": "Faltan parámetros obligatorios",
+    "Formula is required": "Se requiere una fórmula",
+    "Invalid base64 string": "Cadena base64 no válida",
+    "Formula too long": "Fórmula demasiado larga",
+    "Formula nested too deeply": "Fórmula anidada en exceso",
+    "Too many matrix cells": "Demasiadas celdas de matriz",
+    "TeX error": "Error de TeX",
+    "TeX package not allowed": "Paquete TeX no permitido",
+    "TeX macro not allowed": "Macro TeX no permitida",
+    "Invalid preamble": "Preámbulo no válido",
+    "Unknown macro set": "Conjunto de macros desconocido",
+    "Too many requests": "Demasiadas solicitudes",
+  },
+  fr: {
+    "Error": "Erreur",
+    "Error processing math": "Erreur de traitement de la formule",
+    "Internal server error": "Erreur interne du serveur",
+    "Request timed out": "Délai de la requête dépassé",
+    "Missing required parameter": "Paramètre obligatoire manquant",
+    "Missing required parameter(s)": "Paramètres obligatoires manquants",
+    "Formula is required": "Formule obligatoire",
+    "Invalid base64 string": "Chaîne base64 non valide",
+    "Formula too long": "Formule trop longue",
+    "Formula nested too deeply": "Formule trop imbriquée",
+    "Too many matrix cells": "Trop de cellules de matrice",
+    "TeX error": "Erreur TeX",
+    "TeX package not allowed": "Paquet TeX non autorisé",
+    "TeX macro not allowed": "Macro TeX non autorisée",
+    "Invalid preamble": "Préambule non valide",
+    "Unknown macro set": "Jeu de macros inconnu",
+    "Too many requests": "Trop de requêtes",
+  },
+};
+
+// Languages with translations, plus English
+const ERROR_LANGUAGES = ["en", ...Object.keys(TRANSLATIONS)];
+
+/**
+ * Pick the language for error messages: the `lang` parameter, else the best
+ * match for the Accept-Language header, else config.errors.lang
+ * @param {Object} req - Express request
+ * @param {string} defaultLang - Fallback language
+ * @returns {string} One of ERROR_LANGUAGES, or defaultLang
+ */
+const getErrorLanguage = (req, defaultLang) => {
+  const requested = String((req && req.query && req.query.lang) || "").trim().toLowerCase();
+  // Regional variants (de-AT) use the base language
+  const base = requested.split(/[-_]/)[0];
+  if (ERROR_LANGUAGES.includes(base)) return base;
+  const accepted = req && req.headers && req.headers["accept-language"] && req.acceptsLanguages(ERROR_LANGUAGES);
+  return accepted || defaultLang;
+};
+
+/**
+ * Translate an error title
+ * @param {string} title - English error title
+ * @param {string} lang - Language code
+ * @returns {string} The translation, or the English title if there is none
+ */
+const translateError = (title, lang) => {
+  const messages = TRANSLATIONS[lang];
+  if (!messages) return title;
+  // "<method> request timed out" titles name the method; show the generic message
+  const key = / request timed out$/.test(title) ? "Request timed out" : title;
+  return messages[key] || title;
+};
+
+module.exports = {
+  ERROR_LANGUAGES,
+  getErrorLanguage,
+  translateError,
+};
@@ -1,4 +1,5 @@
-const {sendError} = require("./sendErrorHandler");
+const {sendError, createHttpError} = require("./sendErrorHandler");
+const { logger } = require("./logger");
 
 // Helper functions for type coercion
 const toBool = (v) =>
@@ -59,6 +60,75 @@ const truncateMiddle = (str, maxLength=80) => {
   return str.substring(0, startChars) + ellipsis + str.substring(str.length - endChars);
 }
 
+// Output formats supported by the image routes (latex, asciimath, mathml)
+const OUTPUT_FORMATS = ["png", "svg", "mathml", "metadata", "json"];
+
+/**
+ * Determine the requested output format for the image routes.
+ * An explicit `format` parameter wins; otherwise the legacy `svg` flag selects SVG over PNG.
+ * @param {Object} query - The req.query object.
+ * @returns {string} - One of OUTPUT_FORMATS.
+ */
+const getOutputFormat = (query = {}) => {
+  const format = typeof query.format === "string" ? query.format.trim().toLowerCase() : "";
+  if (OUTPUT_FORMATS.includes(format)) return format;
+  return toBool(query.svg) ? "svg" : "png";
+};
+
+/**
+ * Like getOutputFormat, but refuse a `format` parameter the image routes don't
+ * support instead of falling back to PNG. The refusal is sent with its 400 status
+ * even as an error image.
+ * @param {Object} query - The req.query object.
+ * @returns {string} - One of OUTPUT_FORMATS.
+ * @throws {Error} 400 HTTP error for an unknown format
+ */
+const validateOutputFormat = (query = {}) => {
+  const format = typeof query.format === "string" ? query.format.trim().toLowerCase() : "";
+  if (query.format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    throw createHttpError(400, "Invalid output format", `format must be one of: ${OUTPUT_FORMATS.join(", ")}`,
+      { sendStatus: true });
+  }
+  return getOutputFormat(query);
+};
+
+/**
+ * Build the response headers for a rendered formula (see services/mathRenderer):
+ * content type, caching and, for images, the X-Math-* size and alignment headers.
+ * Widths, heights and depths are in ex; the -Px variants are in pixels.
+ * @param {{contentType: string, metrics?: Object}} result - The rendered output
+ * @returns {Object} - Header name to value
+ */
+const buildRenderHeaders = (result) => {
+  const headers = {
+    "Content-Type": result.contentType,
+    "Cache-Control": "public, max-age=86400",
+  };
+  const { metrics } = result;
+  if (metrics) {
+    headers["X-Math-Width"] = String(metrics.width);
+    headers["X-Math-Height"] = String(metrics.height);
+    headers["X-Math-Depth"] = String(metrics.depth);
+    headers["X-Math-Vertical-Align"] = metrics.verticalAlign;
+    headers["X-Math-Width-Px"] = String(metrics.px.width);
+    headers["X-Math-Height-Px"] = String(metrics.px.height);
+    headers["X-Math-Depth-Px"] = String(metrics.px.depth);
+  }
+  return headers;
+};
+
+/**
+ * Send a rendered formula (see services/mathRenderer) as the response, and
+ * count it against the client's daily render quota (see middleware/rateLimit).
+ * @param {object} res - Express response object
+ * @param {{contentType: string, body: string|Buffer, metrics?: Object}} result - The rendered output
+ */
+const sendRenderResult = (res, result) => {
+  res.locals.renders = 1;
+  res.set(buildRenderHeaders(result));
+  return res.send(result.body);
+};
+
 /**
  * Checks that required query parameters are present.
  * @param {Object} query - The req.query object.
@@ -103,49 +173,69 @@ const isBase64 = (str) => {
   // Allows both standard (+/) and URL-safe (-_) base64
   const base64Regex = /^[A-Za-z0-9+/]*={0,2}$/;
   if (!base64Regex.test(str)) {
-    console.error("Invalid base64 string: Contains invalid characters");
+    logger.debug("Invalid base64 string: Contains invalid characters");
     return false;
   }
   return true
 };
 
 /*
- * Helper to process and validate formula input from requests
- * @param {object} req - Express request object
- * @param {object} res - Express response object
+ * Decode and validate formula input without sending a response
  * @param {string} formula - The formula input (LaTeX, AsciiMath, or MathML)
- * @returns {string|null} - The processed formula string or null if there was an error (response already sent)
+ * @param {boolean|string} base64 - Whether the formula is (URL-safe) base64 encoded
+ * @returns {string} - The processed formula string
+ * @throws {Error} - An error with statusCode 400 if the formula is missing or not valid base64
  */
-const processFormula = (req, res, formula) => {
+const decodeFormula = (formula, base64) => {
   // Check if the formula is base64 encoded
-  if (toBool(req.query.isBase64) && formula) {
+  if (toBool(base64) && formula) {
     try {
       formula = urlSafeBase64ToBase64(formula);
       if(!isBase64(formula)) {
-        console.error("processFormula: Not valid base64");
+        logger.debug("processFormula: Not valid base64");
         throw new Error("Not valid base64");
       }
       formula = Buffer.from(formula, "base64").toString("utf-8").trim();
     } catch (error) {
-      console.error("processFormula: Error decoding base64");
-      sendError(req, res, 400, "Invalid base64 string", "The provided formula is not a valid base64 encoded string");
-      return null;
+      logger.debug("processFormula: Error decoding base64");
+      throw createHttpError(400, "Invalid base64 string", "The provided formula is not a valid base64 encoded string");
     }
   }
 
-  if (!formula || formula.length === 0) {
-    sendError(req, res, 400, "Formula is required", "Please provide a formula to process");
-    return null;
+  if (!formula || typeof formula !== "string" || formula.length === 0) {
+    throw createHttpError(400, "Formula is required", "Please provide a formula to process");
   }
 
   return formula.trim();
 };
 
+/*
+ * Helper to process and validate formula input from requests
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} formula - The formula input (LaTeX, AsciiMath, or MathML)
+ * @returns {string|null} - The processed formula string or null if there was an error (response already sent)
+ */
+const processFormula = (req, res, formula) => {
+  try {
+    return decodeFormula(formula, req.query.isBase64);
+  } catch (error) {
+    sendError(req, res, error.statusCode, error.message, error.detail);
+    return null;
+  }
+};
+
 module.exports = {
   toBool,
   toNum,
   getNumberParam,
   requiredParamsAreMissing,
   processFormula, 
-  truncateMiddle
+  decodeFormula,
+  truncateMiddle,
+  OUTPUT_FORMATS,
+  getOutputFormat,
+  validateOutputFormat,
+  buildRenderHeaders,
+  sendRenderResult
 };
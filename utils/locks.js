@@ -1,3 +1,7 @@
+const { createHttpError } = require('./sendErrorHandler');
+const metrics = require('./metrics');
+
+const lockWait = metrics.histogram('lock_wait_seconds', 'Time spent waiting to acquire a lock, by lock');
 
 const withTimeout = (promise, timeoutMs) => {
   return Promise.race([
@@ -9,18 +13,27 @@ const withTimeout = (promise, timeoutMs) => {
 }
 
 class Mutex {
-  constructor() {
+  /**
+   * @param {string} [name] - Label for the lock metrics
+   */
+  constructor(name = 'unnamed') {
+    this.name = name;
     this.queue = [];
     this.locked = false;
   }
 
   async acquire() {
+    const stopTimer = lockWait.startTimer({ lock: this.name });
     return new Promise((resolve) => {
       if (!this.locked) {
         this.locked = true;
+        stopTimer();
         resolve();
       } else {
-        this.queue.push(resolve);
+        this.queue.push(() => {
+          stopTimer();
+          resolve();
+        });
       }
     });
   }
@@ -35,13 +48,47 @@ class Mutex {
   }
 }
 
-const mathJaxLock = new Mutex();
-const imageConverterLock = new Mutex();
-const SRELock = new Mutex();
-const mathCATLock = new Mutex();
+/**
+ * Run a task while holding a lock, giving up after a timeout.
+ * Timeouts are reported as 504 errors labelled with the operation name.
+ * @param {Mutex} lock - Lock to hold while the task runs
+ * @param {Function} task - Function returning a promise (or value)
+ * @param {string} label - Operation name used in the timeout error
+ * @param {number} [timeoutMs=3000] - Timeout in milliseconds
+ * @returns {Promise<*>} The task result
+ */
+const runExclusive = async (lock, task, label, timeoutMs = 3000) => {
+  await lock.acquire();
+  try {
+    return await withTimeout((async () => task())(), timeoutMs);
+  } catch (error) {
+    if (error.message === 'Operation timed out') {
+      metrics.timeouts.inc({ operation: label });
+      throw createHttpError(504, `${label} request timed out`, 'The server took too long to process the request.');
+    }
+    throw error;
+  } finally {
+    lock.release(); // Always release, even on timeout
+  }
+};
+
+const mathJaxLock = new Mutex('mathJax');
+const imageConverterLock = new Mutex('imageConverter');
+const SRELock = new Mutex('SRE');
+const mathCATLock = new Mutex('mathCAT');
+
+const locks = [mathJaxLock, imageConverterLock, SRELock, mathCATLock];
+
+metrics.gauge('lock_queue_depth', 'Callers waiting to acquire a lock, by lock', {
+  collect: (gauge) => locks.forEach(lock => gauge.set({ lock: lock.name }, lock.queue.length)),
+});
+metrics.gauge('lock_held', 'Whether a lock is currently held (1) or free (0), by lock', {
+  collect: (gauge) => locks.forEach(lock => gauge.set({ lock: lock.name }, lock.locked ? 1 : 0)),
+});
 
 module.exports = {
   withTimeout,
+  runExclusive,
   Mutex,
   mathJaxLock,
   imageConverterLock,
@@ -0,0 +1,98 @@
+// Leveled logger writing one JSON object per line (or plain text with
+// LOG_FORMAT=text). Entries logged while handling a request carry its ID,
+// which middleware/requestId.js stores in an AsyncLocalStorage context so the
+// conversion services don't have to pass it around.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// Audit entries are written at every level except silent
+const LEVELS = { silent: -1, error: 0, audit: 0, warn: 1, info: 2, debug: 3 };
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request ID attached to everything it logs
+ * @param {string} requestId - Request ID, or undefined to run without one
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+const runWithRequestId = (requestId, fn) => {
+  if (!requestId) return fn();
+  return requestContext.run({ requestId }, fn);
+};
+
+/**
+ * @returns {string|undefined} ID of the request being handled, if any
+ */
+const getRequestId = () => {
+  const context = requestContext.getStore();
+  return context && context.requestId;
+};
+
+/**
+ * How a formula should appear in logs, per LOG_FORMULAS:
+ * 'full', 'truncate' (to LOG_FORMULA_MAX_LENGTH) or 'redact'. A redacted formula
+ * keeps its length and a short hash, so repeats can still be spotted.
+ * @param {string} formula
+ * @returns {string}
+ */
+const formatFormula = (formula) => {
+  const text = String(formula);
+  const { formulas, formulaMaxLength } = config.log;
+
+  if (formulas === 'full') return text;
+  if (formulas === 'redact') {
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+    return `[redacted ${text.length} chars sha256:${hash}]`;
+  }
+  if (text.length <= formulaMaxLength) return text;
+  return `${text.slice(0, formulaMaxLength)}... [${text.length} chars]`;
+};
+
+const serialize = (value) => {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.statusCode && { statusCode: value.statusCode }), stack: value.stack };
+  }
+  return value;
+};
+
+const formatText = ({ time, level, msg, requestId, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase(), requestId ? `[${requestId}]` : null, msg, ...details]
+    .filter(part => part !== null)
+    .join(' ');
+};
+
+const write = (level, msg, fields = {}) => {
+  const threshold = LEVELS[config.log.level] !== undefined ? LEVELS[config.log.level] : LEVELS.info;
+  if (LEVELS[level] > threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+  Object.keys(fields).forEach((key) => {
+    entry[key] = serialize(fields[key]);
+  });
+
+  const line = config.log.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+};
+
+const logger = {
+  error: (msg, fields) => write('error', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  debug: (msg, fields) => write('debug', msg, fields),
+  audit: (msg, fields) => write('audit', msg, fields),
+};
+
+module.exports = {
+  logger,
+  LEVELS,
+  formatFormula,
+  getRequestId,
+  runWithRequestId,
+};
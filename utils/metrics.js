@@ -0,0 +1,169 @@
+// Metrics in the Prometheus text exposition format, served on GET /metrics.
+//
+// Counters and histograms are updated where things happen (locks, cache,
+// errors, ...). Values owned by other modules, such as queue depths, are read
+// when the metrics are rendered by passing a `collect` callback.
+
+const { logger } = require('./logger');
+
+const PREFIX = 'pb_math_';
+
+// Seconds; from a cached hit to a slow PNG render
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const names = Object.keys(labels);
+  if (!names.length) return '';
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+};
+
+const escapeHelp = (help) => help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+
+/**
+ * A metric with one value per label set
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name, without the service prefix
+   * @param {string} help - Description shown in # HELP
+   * @param {Object} [options]
+   * @param {function(Metric): void} [options.collect] - Called before rendering, to set values read from elsewhere
+   */
+  constructor(name, help, { collect } = {}) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.collect = collect;
+    this.values = new Map();
+  }
+
+  entry(labels, create) {
+    const key = labelKey(labels);
+    if (!this.values.has(key)) this.values.set(key, { labels: { ...labels }, ...create() });
+    return this.values.get(key);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  get(labels = {}) {
+    const entry = this.values.get(labelKey(labels));
+    return entry ? entry.value : 0;
+  }
+
+  render() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {}
+
+class Histogram extends Metric {
+  constructor(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+    super(name, help, options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function records the elapsed seconds
+   * @param {Object} [labels]
+   * @returns {function(): number} Stops the timer and returns the seconds recorded
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels = {}) {
+    const entry = this.values.get(labelKey(labels));
+    return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const register = (type, metric) => {
+  metric.type = type;
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+const counter = (name, help, options) => register('counter', new Counter(name, help, options));
+const gauge = (name, help, options) => register('gauge', new Gauge(name, help, options));
+const histogram = (name, help, options) => register('histogram', new Histogram(name, help, options));
+
+/**
+ * Render every registered metric
+ * @returns {Promise<string>} Prometheus text exposition format (version 0.0.4)
+ */
+const renderMetrics = async () => {
+  const blocks = [];
+  for (const metric of registry.values()) {
+    if (metric.collect) {
+      try {
+        await metric.collect(metric);
+      } catch (error) {
+        logger.error('Failed to collect metric', { metric: metric.name, error: error.message });
+      }
+    }
+    blocks.push([
+      `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render(),
+    ].join('\n'));
+  }
+  return blocks.join('\n') + '\n';
+};
+
+// Metrics updated from more than one module
+const timeouts = counter('timeouts_total', 'Operations abandoned after their timeout, by operation');
+const errors = counter('errors_total', 'Error responses and failed batch items, by error type and HTTP status');
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  timeouts,
+  errors,
+};
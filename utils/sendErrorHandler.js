@@ -1,4 +1,8 @@
 const config = require("../config");
+const metrics = require("./metrics");
+const { logger } = require("./logger");
+const { PLACEHOLDER_STYLES, renderErrorImage } = require("./errorImage");
+const { getErrorLanguage, translateError } = require("./errorMessages");
 
 // Helper function to determine route type from request
 function getRouteType(req) {
@@ -13,101 +17,131 @@ function getRouteType(req) {
   return "math";
 }
 
+const ERROR_FORMATS = ["image", "json"];
+
 /**
- * Creates a SVG image displaying an error message with yellow background and red text.
- * Truncates the error message to 30 characters and auto-sizes the SVG to fit the text.
- * @param {string} errorMessage - The error message to display
- * @returns {Buffer} SVG image buffer
+ * How errors should be reported: the `errors` parameter (`image` or `json`),
+ * else the service default (config.errors.format). In json mode errors are sent
+ * as JSON with their HTTP status, and TeX errors are reported instead of being
+ * rendered as merror.
+ * @param {Object} [query={}] - Request parameters
+ * @returns {string} 'image' or 'json'
  */
-function createErrorSvg(errorMessage) {
-  // Configuration
-  const fontSize = 14;
-  const padding = 3;
-  errorMessage = errorMessage || "Error processing math";
-
-  // Truncate message to 30 characters
-  const truncatedMessage =
-    errorMessage.length > 30
-      ? errorMessage.substring(0, 27) + "..."
-      : errorMessage;
-
-  // Escape XML special characters
-  const escapedMessage = truncatedMessage
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#x27;");
-
-  // Estimate text dimensions (rough approximation)
-  // Average character width is roughly 0.6 * fontSize for most fonts
-  const estimatedTextWidth = truncatedMessage.length * fontSize * 0.6;
-  const textHeight = fontSize;
-
-  // Calculate SVG dimensions with padding
-  const svgWidth = Math.max(100, estimatedTextWidth + padding * 2);
-  const svgHeight = Math.max(40, textHeight + padding * 2);
-
-  // Create SVG with error styling that fits the text
-  const errorSvg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">
-  <rect width="100%" height="100%" fill="#FFFF00" stroke="#FF0000" stroke-width="2"/>
-  <text x="50%" y="50%" 
-        dominant-baseline="central" 
-        text-anchor="middle" 
-        fill="#FF0000" 
-        font-size="${fontSize}"
-        font-weight="bold">
-    ${escapedMessage}
-  </text>
-</svg>`;
-
-  return errorSvg;
-}
+const getErrorFormat = (query = {}) => {
+  const format = String(query.errors || "").toLowerCase();
+  return ERROR_FORMATS.includes(format) ? format : config.errors.format;
+};
 
 // Standardized error response helper
 const defaultErrorMessage = "Error processing math";
 
-const sendError = (req, res, status = 400, error = defaultErrorMessage, message) => {
+/**
+ * @param {Object} [details] - Extra fields for JSON responses (e.g. the code, macro and offset of a TeX error)
+ * @param {Object} [options]
+ * @param {boolean} [options.sendStatus] - Send the real status with the error image or text too
+ */
+const sendError = (req, res, status = 400, error = defaultErrorMessage, message, details, options = {}) => {
+  metrics.errors.inc({ type: error || defaultErrorMessage, status });
+
   if (config.errors.logErrorsToConsole) {
-    console.error("Error:", error, message || defaultErrorMessage);
+    const level = status >= 500 ? "error" : "warn";
+    logger[level](error || defaultErrorMessage, { status, detail: message || defaultErrorMessage });
   }
 
-  if (config.errors.alwaysSendImageOrSpeechOnError) {
+  if (config.errors.alwaysSendImageOrSpeechOnError && getErrorFormat(req && req.query) !== "json") {
+    // Required here rather than at the top: utils/index requires this module
+    const { toBool, getOutputFormat } = require("./index");
+    const query = (req && req.query) || {};
     const routeType = getRouteType(req);
+    const lang = getErrorLanguage(req, config.errors.lang);
+    const title = translateError(error || defaultErrorMessage, lang);
+    // Clients can opt in to the real status; by default the image or text is sent with a 200,
+    // except for errors that refuse the request itself (options.sendStatus)
+    const sendStatus = options.sendStatus ||
+      (query.errorStatus !== undefined ? toBool(query.errorStatus) : config.errors.sendStatus);
+
+    res.set("Cache-Control", "no-cache, no-store, must-revalidate");
+    if (config.errors.httpResponseErrorHeader) {
+      res.set(
+        config.errors.httpResponseErrorHeader,
+        error || defaultErrorMessage
+      );
+    }
+    res.status(sendStatus ? status : 200);
 
     if (routeType === "speech") {
       // For speech routes, return a simple text message
       res.set("Content-Type", "text/plain");
-      res.set("Cache-Control", "no-cache, no-store, must-revalidate");
-      if (config.errors.httpResponseErrorHeader) {
-        res.set(
-          config.errors.httpResponseErrorHeader,
-          error || defaultErrorMessage
-        );
-      }
-      return res.status(200).send(`Error: ${error}`);
-    } else {
-      // If configured to always send image or speech on error, send a SVG
-      const errorSvg = createErrorSvg(error || defaultErrorMessage);
-      res.set("Content-Type", "image/svg+xml");
-      res.set("Cache-Control", "no-cache, no-store, must-revalidate");
-      if (config.errors.httpResponseErrorHeader) {
-        res.set(
-          config.errors.httpResponseErrorHeader,
-          error || defaultErrorMessage
-        );
-      }
-      return res.status(200).send(errorSvg);
+      return res.send(`${translateError("Error", lang)}: ${title}`);
     }
+
+    // Otherwise send an error image, as PNG if that is what the client asked for
+    const format = getOutputFormat(query) === "png" ? "png" : "svg";
+    const image = renderErrorImage(format, title, {
+      style: PLACEHOLDER_STYLES.includes(query.placeholder) ? query.placeholder : config.errors.placeholder,
+      detail: message,
+      width: query.width,
+      height: query.height,
+      fg: query.fg,
+      bg: query.bgColor,
+      dpi: query.dpi,
+    });
+    res.set("Content-Type", image.contentType);
+    return res.send(image.body);
   } else {
+    res.set("Cache-Control", "no-cache, no-store, must-revalidate");
     return res.status(status).json({
       error: error || "Bad Request",
       message: message || "An error occurred while processing your request",
+      ...details,
     });
   }
 };
 
+/**
+ * Create an error that carries the HTTP status and sendError() arguments to report it with.
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Short error title (sendError's `error` argument)
+ * @param {string} [detail] - Longer explanation (sendError's `message` argument)
+ * @param {Object} [options]
+ * @param {boolean} [options.sendStatus] - Send the status even with an error image (see sendError)
+ * @returns {Error}
+ */
+const createHttpError = (statusCode, message, detail, { sendStatus = false } = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.detail = detail;
+  error.sendStatus = sendStatus;
+  return error;
+};
+
+/**
+ * The JSON fields describing a TeX error (see convertTeX in mathJaxConverters)
+ * @param {Error} error
+ * @returns {{code: string, macro: string|null, offset: number}|undefined}
+ */
+const getTexErrorDetails = (error) => {
+  if (!error.tex) return undefined;
+  const { code, macro, offset } = error.tex;
+  return { code, macro, offset };
+};
+
+/**
+ * Report an error thrown by a conversion service.
+ * Errors created with createHttpError() keep their status; anything else is a 500.
+ */
+const sendServiceError = (req, res, error) => {
+  if (error.statusCode) {
+    return sendError(req, res, error.statusCode, error.message, error.detail, getTexErrorDetails(error),
+      { sendStatus: error.sendStatus });
+  }
+  return sendError(req, res, 500, "Internal server error", error.message);
+};
+
 module.exports = {
   sendError,
+  sendServiceError,
+  createHttpError,
+  getErrorFormat,
+  getTexErrorDetails,
 };
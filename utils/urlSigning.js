@@ -0,0 +1,150 @@
+// Signed render URLs. A signed URL carries an `expires` parameter (Unix time in
+// seconds) and a `sig` parameter: the base64url HMAC-SHA256 of the route path
+// and the canonical form of every other parameter. Routes listed in
+// URL_SIGNING_ROUTES refuse requests without a valid, unexpired signature (see
+// middleware/requireSignature.js).
+//
+// Node callers can use signUrl() directly. Other platforms build the same string:
+//
+//   <route path>?<params except sig, sorted by name, as name=value, joined by &>
+//
+// with names and values percent-encoded per RFC 3986 (everything but A-Z a-z 0-9
+// - . _ ~; PHP's rawurlencode), e.g. "/latex?expires=1767225600&format=svg&latex=x%5E2",
+// and append `sig=<base64url HMAC-SHA256 of that string>` to the URL.
+//
+// Routes that take a JSON body rather than parameters (/batch) sign the body too:
+// the string is followed by a newline and the body exactly as sent, e.g.
+// "/batch?expires=1767225600\n[{...}]", and `expires` and `sig` go in the query string.
+const crypto = require('crypto');
+
+// Published pages keep their URLs for a long time
+const DEFAULT_EXPIRES_IN = 60 * 60 * 24 * 365;
+
+// RFC 3986 percent-encoding: encodeURIComponent leaves !'()* alone
+const rfc3986 = (text) => encodeURIComponent(text)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encode = (value) => rfc3986(typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * Canonical form of a set of parameters: every parameter except `sig`, sorted by
+ * name, repeated parameters in the order given
+ * @param {Object} params - Parameters, values being strings or arrays of strings
+ * @returns {string}
+ */
+const canonicalQuery = (params) => Object.keys(params)
+  .filter(name => name !== 'sig')
+  .sort()
+  .flatMap(name => [].concat(params[name]).map(value => `${rfc3986(name)}=${encode(value)}`))
+  .join('&');
+
+/**
+ * Signature for a route and its parameters
+ * @param {string} route - Route path, e.g. '/latex'
+ * @param {Object} params - Parameters, including `expires`
+ * @param {string} secret - Signing secret
+ * @param {string|Buffer} [body] - Request body, for routes that sign it
+ * @returns {string} base64url HMAC-SHA256
+ */
+const signatureFor = (route, params, secret, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${route}?${canonicalQuery(params)}`);
+  if (body !== undefined) hmac.update('\n').update(body);
+  return hmac.digest('base64url');
+};
+
+/**
+ * Sign a set of parameters
+ * @param {string} route - Route path, e.g. '/latex'
+ * @param {Object} params - Request parameters
+ * @param {string} secret - Signing secret
+ * @param {Object} [options]
+ * @param {number} [options.expires] - Expiry as Unix time in seconds
+ * @param {number} [options.expiresIn] - Or seconds from now (default: one year)
+ * @returns {Object} The parameters with `expires` and `sig` added
+ */
+const signParams = (route, params, secret, { expires, expiresIn = DEFAULT_EXPIRES_IN } = {}) => {
+  const signed = { ...params, expires: String(expires || Math.floor(Date.now() / 1000) + expiresIn) };
+  delete signed.sig;
+  signed.sig = signatureFor(route, signed, secret);
+  return signed;
+};
+
+/**
+ * Sign a request body, for routes that take one instead of parameters (/batch)
+ * @example request.post(`/batch?${new URLSearchParams(signBody('/batch', json, secret))}`).send(json)
+ * @param {string} route - Route path, e.g. '/batch'
+ * @param {string|Buffer} body - The body exactly as it will be sent
+ * @param {string} secret - Signing secret
+ * @param {Object} [options] - `expires` / `expiresIn` as for signParams
+ * @returns {{expires: string, sig: string}} Query parameters to send with the body
+ */
+const signBody = (route, body, secret, { expires, expiresIn = DEFAULT_EXPIRES_IN } = {}) => {
+  const params = { expires: String(expires || Math.floor(Date.now() / 1000) + expiresIn) };
+  return { ...params, sig: signatureFor(route, params, secret, body) };
+};
+
+/**
+ * Sign a render URL
+ * @example signUrl('https://math.example.org/latex?latex=x%5E2&format=svg', secret)
+ * @param {string} url - Absolute URL of a conversion route, with its parameters
+ * @param {string} secret - Signing secret
+ * @param {Object} [options] - `expires` / `expiresIn` as for signParams, plus:
+ * @param {string} [options.prefix] - Path the service is mounted under behind a proxy, e.g. '/math'
+ * @returns {string} The URL with `expires` and `sig` added
+ */
+const signUrl = (url, secret, { prefix = '', ...options } = {}) => {
+  const parsed = new URL(url);
+  let route = parsed.pathname;
+  if (prefix && route.startsWith(prefix)) route = route.slice(prefix.length);
+  route = route.replace(/\/+$/, '') || '/';
+
+  const params = {};
+  parsed.searchParams.forEach((value, name) => {
+    params[name] = name in params ? [].concat(params[name], value) : value;
+  });
+
+  const signed = signParams(route, params, secret, options);
+  parsed.search = '';
+  Object.keys(signed).forEach((name) => {
+    [].concat(signed[name]).forEach(value => parsed.searchParams.append(name, value));
+  });
+  return parsed.toString();
+};
+
+/**
+ * Check a request's signature against each secret
+ * @param {string} route - Route path, e.g. '/latex'
+ * @param {Object} params - Request parameters, including `expires` and `sig`
+ * @param {string[]} secrets - Accepted secrets (more than one while rotating)
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.body] - Request body, for routes that sign it
+ * @param {number} [options.now] - Current time in ms
+ * @returns {{valid: boolean, reason?: string}} reason is 'missing', 'expired' or 'invalid'
+ */
+const verifySignature = (route, params, secrets, { body, now = Date.now() } = {}) => {
+  const { sig, expires } = params;
+  if (sig === undefined && expires === undefined) return { valid: false, reason: 'missing' };
+  // expires may be a number in a JSON body
+  if (typeof sig !== 'string' || !/^\d+$/.test(String(expires))) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const given = Buffer.from(sig);
+  const matches = secrets.some((secret) => {
+    const expected = Buffer.from(signatureFor(route, params, secret, body));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+  if (!matches) return { valid: false, reason: 'invalid' };
+
+  // Only report expiry for genuine signatures, so tampered URLs can't probe it
+  if (Number(expires) * 1000 <= now) return { valid: false, reason: 'expired' };
+  return { valid: true };
+};
+
+module.exports = {
+  canonicalQuery,
+  signParams,
+  signBody,
+  signUrl,
+  verifySignature,
+};